@@ -0,0 +1,28 @@
+// Authentication configuration
+module.exports = {
+    jwtSecret: process.env.JWT_SECRET,
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+    refreshSecret: process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
+    refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d',
+    passwordResetExpiresMinutes: parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES || '60'),
+    // Per-account throttling of failed logins
+    loginThrottle: {
+        maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS || '5'),
+        backoffBaseSeconds: parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS || '1'),
+        lockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES || '15')
+    },
+    // Roles that must enroll in two-factor authentication, e.g. 'admin,manager'
+    twoFactorRequiredRoles: (process.env.TWO_FACTOR_REQUIRED_ROLES || '')
+        .split(',')
+        .map(role => role.trim())
+        .filter(Boolean),
+    twoFactorIssuer: process.env.TWO_FACTOR_ISSUER || 'Task Manager',
+    twoFactorChallengeExpiresIn: '5m',
+    emailVerificationExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+    emailVerificationResendSeconds: parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS || '60'),
+    // Actions blocked for unverified accounts: any of 'login', 'tasks'
+    emailVerificationRequiredFor: (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+        .split(',')
+        .map(action => action.trim())
+        .filter(Boolean)
+};
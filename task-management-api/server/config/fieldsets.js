@@ -0,0 +1,70 @@
+// Fields and relations clients can pick on read endpoints with fields= and expand=
+//
+// Per resource: fields it can return (_id always comes along), computed fields that are worked
+// out when presenting a record and the stored fields they need, stored fields a record cannot be
+// presented without, forbidden fields that are never returned, relations that can be expanded
+// with the fields of the related record they are populated with, and the relations expanded
+// when a request does not say.
+module.exports = {
+    task: {
+        fields: [
+            'title', 'description', 'status', 'state', 'priority', 'category', 'dueDate', 'assignedTo',
+            'createdBy', 'parent', 'project', 'blockedBy', 'recurrence', 'tags', 'attachments',
+            'completedAt', 'estimatedHours', 'actualHours', 'createdAt', 'updatedAt',
+            'ageInDays', 'isOverdue', 'timezone', 'dueDateLocal', 'isDueToday', 'rollup', 'isBlocked'
+        ],
+        computed: {
+            ageInDays: ['createdAt'],
+            isOverdue: ['dueDate', 'status'],
+            timezone: [],
+            dueDateLocal: ['dueDate'],
+            isDueToday: ['dueDate'],
+            rollup: [],
+            isBlocked: ['blockedBy']
+        },
+        required: [],
+        forbidden: ['commentText', 'searchTokens', 'deletedAt', 'deletedBy', 'deletedWith'],
+        expand: {
+            assignedTo: 'name email',
+            createdBy: 'name email',
+            project: 'name status',
+            parent: 'title status'
+        },
+        defaultExpand: ['assignedTo', 'createdBy']
+    },
+    project: {
+        fields: ['name', 'description', 'status', 'startDate', 'endDate', 'userId', 'tasks', 'workflow', 'createdAt'],
+        computed: {},
+        required: [],
+        forbidden: ['searchTokens', 'deletedAt', 'deletedBy', 'deletedWith'],
+        expand: {
+            userId: 'name email',
+            tasks: 'title status priority',
+            workflow: 'name'
+        },
+        // A project's tasks can be many, so they come as IDs unless expand=tasks asks for them
+        defaultExpand: ['userId']
+    },
+    user: {
+        fields: [
+            'name', 'email', 'role', 'avatar', 'department', 'position', 'phone', 'isActive',
+            'emailVerified', 'emailVerifiedAt', 'twoFactor', 'lastLogin', 'lastLoginIp',
+            'failedLoginAttempts', 'lastFailedLoginAt', 'lastFailedLoginIp', 'lockUntil', 'preferences',
+            'createdAt', 'updatedAt', 'displayName', 'initials', 'isLocked', 'taskCount'
+        ],
+        computed: {
+            displayName: ['name'],
+            initials: ['name'],
+            isLocked: ['lockUntil'],
+            taskCount: []
+        },
+        // The initials virtual is built from the name
+        required: ['name'],
+        forbidden: [
+            'password', 'tokenVersion', 'passwordResetToken', 'passwordResetExpires', 'verificationSentAt',
+            'searchTokens', 'deletedAt', 'deletedBy', 'deletedWith'
+        ],
+        expand: {},
+        defaultExpand: []
+    }
+};
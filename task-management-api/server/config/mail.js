@@ -0,0 +1,21 @@
+// Mail configuration
+const os = require('os');
+const path = require('path');
+
+module.exports = {
+    transport: process.env.MAIL_TRANSPORT || 'file',
+    from: process.env.MAIL_FROM || 'Task Manager <no-reply@taskmanager.local>',
+    appUrl: process.env.APP_URL || 'http://localhost:3000',
+    // Where this API is reached from outside, for links that call it directly
+    apiUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 3000}`,
+    file: {
+        dir: process.env.MAIL_DIR || path.join(os.tmpdir(), 'task-manager-mail')
+    },
+    smtp: {
+        host: process.env.SMTP_HOST || 'localhost',
+        port: parseInt(process.env.SMTP_PORT || '1025'),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+    }
+};
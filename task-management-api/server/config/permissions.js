@@ -0,0 +1,128 @@
+// Role-based permission map
+//
+// Each resource/action pair maps a role to the scope it may act on:
+//   'any'        - every record
+//   'department' - records owned by the caller or by someone in the caller's department
+//   'own'        - records owned by the caller
+// Roles that are not listed for an action are denied.
+const permissions = {
+    tasks: {
+        read: { admin: 'any', manager: 'department', user: 'own' },
+        create: { admin: 'any', manager: 'any', user: 'any' },
+        update: { admin: 'any', manager: 'department', user: 'own' },
+        delete: { admin: 'any', manager: 'department', user: 'own' },
+        history: { admin: 'any', manager: 'department', user: 'own' }
+    },
+    comments: {
+        create: { admin: 'any', manager: 'any', user: 'any' },
+        update: { admin: 'any', manager: 'any', user: 'own' },
+        delete: { admin: 'any', manager: 'any', user: 'own' }
+    },
+    timeEntries: {
+        read: { admin: 'any', manager: 'department', user: 'own' },
+        create: { admin: 'any', manager: 'any', user: 'any' },
+        update: { admin: 'any', manager: 'department', user: 'own' },
+        delete: { admin: 'any', manager: 'department', user: 'own' }
+    },
+    users: {
+        read: { admin: 'any', manager: 'any' },
+        create: { admin: 'any' },
+        update: { admin: 'any' },
+        unlock: { admin: 'any' },
+        delete: { admin: 'any' }
+    },
+    categories: {
+        create: { admin: 'any' },
+        update: { admin: 'any' },
+        delete: { admin: 'any' }
+    },
+    // Creating a project for someone else is checked against the create scope
+    projects: {
+        create: { admin: 'any', manager: 'department', user: 'own' },
+        update: { admin: 'any', manager: 'department', user: 'own' },
+        delete: { admin: 'any', manager: 'department', user: 'own' },
+        history: { admin: 'any', manager: 'department', user: 'own' }
+    },
+    workflows: {
+        create: { admin: 'any', manager: 'any' },
+        update: { admin: 'any', manager: 'any' },
+        delete: { admin: 'any' }
+    },
+    // Which views a user can read depends on their visibility, see models/View
+    views: {
+        read: { admin: 'any', manager: 'any', user: 'any' },
+        create: { admin: 'any', manager: 'any', user: 'any' },
+        update: { admin: 'own', manager: 'own', user: 'own' },
+        delete: { admin: 'own', manager: 'own', user: 'own' }
+    }
+};
+
+// Scopes that can be granted to API keys
+const apiKeyScopes = [
+    'tasks:read',
+    'tasks:write',
+    'projects:read',
+    'projects:write',
+    'projects:admin',
+    'users:read'
+];
+
+// Scope an API key needs for each resource/action, on top of its owner's role permissions.
+// Actions without an entry cannot be performed with an API key.
+const scopeRequirements = {
+    tasks: {
+        read: 'tasks:read',
+        create: 'tasks:write',
+        update: 'tasks:write',
+        delete: 'tasks:write',
+        history: 'tasks:read'
+    },
+    comments: {
+        create: 'tasks:write',
+        update: 'tasks:write',
+        delete: 'tasks:write'
+    },
+    timeEntries: {
+        read: 'tasks:read',
+        create: 'tasks:write',
+        update: 'tasks:write',
+        delete: 'tasks:write'
+    },
+    projects: {
+        read: 'projects:read',
+        create: 'projects:write',
+        update: 'projects:write',
+        delete: 'projects:admin',
+        history: 'projects:read'
+    },
+    workflows: {
+        create: 'projects:admin',
+        update: 'projects:admin',
+        delete: 'projects:admin'
+    },
+    views: {
+        read: 'tasks:read',
+        create: 'tasks:write',
+        update: 'tasks:write',
+        delete: 'tasks:write'
+    },
+    users: {
+        read: 'users:read'
+    }
+};
+
+// Fields that identify the owners of a record, used for 'own' and 'department' scopes
+const ownerFields = {
+    tasks: ['createdBy', 'assignedTo'],
+    comments: ['author'],
+    timeEntries: ['user'],
+    projects: ['userId'],
+    views: ['owner']
+};
+
+module.exports = {
+    permissions,
+    apiKeyScopes,
+    scopeRequirements,
+    ownerFields
+};
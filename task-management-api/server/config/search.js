@@ -0,0 +1,26 @@
+// Full-text search configuration
+//
+// Weights decide how much a match in each field counts towards relevance. They are baked into
+// the text indexes, so changing them means dropping the existing "search" index of a collection.
+module.exports = {
+    weights: {
+        // commentText holds the bodies of the task's comments
+        task: { title: 10, tags: 5, description: 2, commentText: 1 },
+        project: { name: 10, description: 2 },
+        user: { name: 10, email: 5, department: 2, position: 2 }
+    },
+    // Characters of a task's comments that are searchable, oldest comments first
+    maxCommentTextLength: 20000,
+    // Shortest prefix a term* may have, and how many indexed words one prefix may expand to
+    minPrefixLength: 2,
+    maxPrefixExpansions: parseInt(process.env.SEARCH_MAX_PREFIX_EXPANSIONS, 10) || 20,
+    // Results per type on the unified search endpoint, by default and at most
+    defaultLimit: 10,
+    maxLimit: 50,
+    // Characters of context shown around a match in a snippet
+    snippetLength: parseInt(process.env.SEARCH_SNIPPET_LENGTH, 10) || 160,
+    highlight: {
+        pre: '<mark>',
+        post: '</mark>'
+    }
+};
@@ -0,0 +1,29 @@
+// Attachment storage configuration
+const os = require('os');
+const path = require('path');
+
+const parseList = (value, fallback) => (value ? value.split(',') : fallback).map(item => item.trim()).filter(Boolean);
+
+module.exports = {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    // Uploads outlive restarts, so they default to a data directory in the home of the user
+    // running the server, outside the source tree
+    local: {
+        dir: process.env.STORAGE_DIR || path.join(os.homedir(), '.task-manager', 'uploads')
+    },
+    maxFileSizeMb: parseFloat(process.env.UPLOAD_MAX_FILE_SIZE_MB || '10'),
+    allowedMimeTypes: parseList(process.env.UPLOAD_ALLOWED_TYPES, [
+        'image/png',
+        'image/jpeg',
+        'image/gif',
+        'image/webp',
+        'application/pdf',
+        'text/plain',
+        'text/csv',
+        'application/zip',
+        'application/msword',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+        'application/vnd.ms-excel',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    ])
+};
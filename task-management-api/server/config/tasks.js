@@ -0,0 +1,9 @@
+// Task behaviour configuration
+module.exports = {
+    // Refuse to complete a parent task while any of its subtasks are still open
+    blockParentCompletionWithOpenSubtasks: process.env.TASK_BLOCK_PARENT_COMPLETION !== 'false',
+    // What happens to subtasks when their parent is deleted: 'cascade' deletes them, 'orphan' detaches them
+    subtaskDeleteBehavior: process.env.TASK_SUBTASK_DELETE_BEHAVIOR || 'orphan',
+    // Most tasks a single bulk request may touch, whether listed by id or matched by a filter
+    bulkMaxTasks: parseInt(process.env.TASK_BULK_MAX_TASKS, 10) || 500
+};
@@ -0,0 +1,7 @@
+// Trash configuration for soft-deleted tasks, projects, categories and users
+module.exports = {
+    // Days a deleted record stays restorable before it is purged for good
+    retentionDays: parseFloat(process.env.TRASH_RETENTION_DAYS || '30'),
+    // How often expired records are looked for and purged
+    purgeIntervalMinutes: parseFloat(process.env.TRASH_PURGE_INTERVAL_MINUTES || '60')
+};
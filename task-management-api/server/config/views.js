@@ -0,0 +1,12 @@
+// Saved view configuration
+module.exports = {
+    // Task fields a view can show as columns, and the ones it shows when none are chosen
+    columns: [
+        'title', 'description', 'status', 'state', 'priority', 'category', 'dueDate', 'assignedTo',
+        'createdBy', 'project', 'parent', 'tags', 'estimatedHours', 'actualHours', 'completedAt',
+        'createdAt', 'updatedAt'
+    ],
+    defaultColumns: ['title', 'status', 'priority', 'dueDate', 'assignedTo'],
+    // Most views one user may own; each one's count is worked out whenever views are listed
+    maxViewsPerUser: parseInt(process.env.VIEWS_MAX_PER_USER, 10) || 50
+};
@@ -0,0 +1,29 @@
+// Task workflow configuration
+//
+// A workflow lists the states a task can be in and the moves between them. Every state maps
+// onto one of the built-in statuses, which filters, statistics, blockers and recurrence use.
+// Tasks outside a project, or in a project without a workflow, follow defaultWorkflow.
+module.exports = {
+    statuses: ['pending', 'in-progress', 'completed', 'cancelled'],
+    // Task fields a requireField guard may insist on
+    guardFields: ['description', 'assignedTo', 'dueDate', 'estimatedHours', 'actualHours', 'tags'],
+    defaultWorkflow: {
+        name: 'Default',
+        initialState: 'pending',
+        states: [
+            { key: 'pending', name: 'Pending', status: 'pending' },
+            { key: 'in-progress', name: 'In Progress', status: 'in-progress' },
+            { key: 'completed', name: 'Completed', status: 'completed' },
+            { key: 'cancelled', name: 'Cancelled', status: 'cancelled' }
+        ],
+        transitions: [
+            { from: ['pending'], to: 'in-progress' },
+            { from: ['pending', 'in-progress'], to: 'completed' },
+            { from: ['pending', 'in-progress'], to: 'cancelled' },
+            { from: ['in-progress'], to: 'pending' },
+            // Reopening
+            { from: ['completed'], to: 'in-progress' },
+            { from: ['cancelled'], to: 'pending' }
+        ]
+    }
+};
@@ -0,0 +1,149 @@
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const authConfig = require('../config/auth');
+const { verifyAccessToken, hashToken, isApiKey } = require('../utils/tokens');
+
+// Extract the credential from an "Authorization: Bearer <token>" or "Authorization: ApiKey <key>" header
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+    return (scheme === 'Bearer' || scheme === 'ApiKey') && token ? token : null;
+};
+
+const sendUnauthorized = (res, message) => {
+    return res.status(401).json({
+        success: false,
+        message
+    });
+};
+
+// Resolve an API key to its owner, recording when and where it was used
+const authenticateApiKey = async (req, res, next, key) => {
+    const apiKey = await ApiKey.findOne({ keyHash: hashToken(key) });
+    if (!apiKey || !apiKey.isActive) {
+        return sendUnauthorized(res, 'Invalid or expired API key');
+    }
+
+    const user = await User.findById(apiKey.user);
+    if (!user || !user.isActive) {
+        return sendUnauthorized(res, 'Invalid or expired API key');
+    }
+
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+
+    req.user = user;
+    req.apiKey = apiKey;
+    next();
+};
+
+// Resolve a JWT access token to its user and login session
+const authenticateAccessToken = async (req, res, next, token) => {
+    let payload;
+    try {
+        payload = verifyAccessToken(token);
+    } catch (error) {
+        return sendUnauthorized(res, error.name === 'TokenExpiredError' ? 'Access token has expired' : 'Invalid access token');
+    }
+
+    const [user, session] = await Promise.all([
+        User.findById(payload.sub).select('+tokenVersion'),
+        Session.findById(payload.sid)
+    ]);
+
+    // Tokens from a revoked session, or issued before a password reset or deactivation, are no longer honoured
+    if (!user || !user.isActive || user.tokenVersion !== payload.tokenVersion || !session || !session.isActive) {
+        return sendUnauthorized(res, 'Invalid access token');
+    }
+
+    await session.touch(req.ip);
+
+    req.user = user;
+    req.authSession = session;
+    next();
+};
+
+// Whether the user's role requires two-factor authentication they have not set up yet
+const needsTwoFactorSetup = (user) => {
+    return authConfig.twoFactorRequiredRoles.includes(user.role) && !user.twoFactor.enabled;
+};
+
+// Build the authentication middleware. Users whose role requires two-factor authentication
+// are confined to the enrollment routes until they enable it, unless allowTwoFactorSetup is set.
+const createAuthenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
+    const token = getBearerToken(req);
+    if (!token) {
+        return sendUnauthorized(res, 'Authentication required');
+    }
+
+    const enforceTwoFactor = () => {
+        if (!allowTwoFactorSetup && needsTwoFactorSetup(req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication must be enabled for your role',
+                twoFactorSetupRequired: true
+            });
+        }
+        next();
+    };
+
+    try {
+        if (isApiKey(token)) {
+            await authenticateApiKey(req, res, enforceTwoFactor, token);
+        } else {
+            await authenticateAccessToken(req, res, enforceTwoFactor, token);
+        }
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while authenticating'
+        });
+    }
+};
+
+// Middleware to require a valid access token or API key and set req.user
+const authenticate = createAuthenticate();
+
+// Same as authenticate, but still reachable while mandatory two-factor enrollment is pending
+const authenticateForTwoFactorSetup = createAuthenticate({ allowTwoFactorSetup: true });
+
+// Middleware for public routes: anonymous requests pass through, but a supplied credential must be valid
+const optionalAuthenticate = (req, res, next) => {
+    if (!req.headers.authorization) {
+        return next();
+    }
+    return authenticate(req, res, next);
+};
+
+// Middleware for account management routes that must not be reachable with an API key
+const requireUserSession = (req, res, next) => {
+    if (req.apiKey) {
+        return res.status(403).json({
+            success: false,
+            message: 'This action requires a user login, not an API key'
+        });
+    }
+    next();
+};
+
+// Middleware to block unverified accounts when verification is enforced for an action
+const requireVerifiedEmail = (action) => (req, res, next) => {
+    if (authConfig.emailVerificationRequiredFor.includes(action) && !req.user.emailVerified) {
+        return res.status(403).json({
+            success: false,
+            message: 'Email address has not been verified'
+        });
+    }
+    next();
+};
+
+module.exports = {
+    authenticate,
+    authenticateForTwoFactorSetup,
+    optionalAuthenticate,
+    needsTwoFactorSetup,
+    requireUserSession,
+    requireVerifiedEmail,
+    getBearerToken
+};
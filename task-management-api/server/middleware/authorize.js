@@ -0,0 +1,105 @@
+const User = require('../models/User');
+const { permissions, scopeRequirements, ownerFields } = require('../config/permissions');
+
+// Collect the owner ids of a record, ignoring unset or populated-away fields
+const getOwnerIds = (resource, doc) => {
+    return (ownerFields[resource] || [])
+        .map(field => doc[field] && (doc[field]._id || doc[field]))
+        .filter(Boolean);
+};
+
+// Scope ('any', 'department' or 'own') a user's role has for an action, or undefined when denied
+const getScope = (user, resource, action) => ((permissions[resource] || {})[action] || {})[user.role];
+
+// Check whether a user may perform an action, optionally against a specific record
+const can = async (user, resource, action, doc = null) => {
+    const scope = getScope(user, resource, action);
+
+    if (!scope) return false;
+    if (scope === 'any' || !doc) return true;
+
+    const ownerIds = getOwnerIds(resource, doc);
+    if (ownerIds.some(id => id.equals(user._id))) return true;
+
+    if (scope === 'department' && user.department && ownerIds.length) {
+        return !!(await User.exists({ _id: { $in: ownerIds }, department: user.department }));
+    }
+
+    return false;
+};
+
+// Filter for the records of a resource a user may perform an action on, or null for none.
+// Records owned by another department member count for department scope.
+const buildOwnerFilter = async (user, resource, action) => {
+    const scope = getScope(user, resource, action);
+    if (!scope) {
+        return null;
+    }
+    if (scope === 'any') {
+        return {};
+    }
+
+    const ownerIds = [user._id];
+    if (scope === 'department' && user.department) {
+        ownerIds.push(...await User.distinct('_id', { department: user.department }));
+    }
+    return { $or: (ownerFields[resource] || []).map(field => ({ [field]: { $in: ownerIds } })) };
+};
+
+// Check whether an API key carries the scope required for an action
+const hasScope = (apiKey, resource, action) => {
+    const required = (scopeRequirements[resource] || {})[action];
+    return !!required && apiKey.hasScope(required);
+};
+
+// Consistent body for denied requests
+const sendForbidden = (res, resource, action, error) => {
+    return res.status(403).json({
+        success: false,
+        message: 'Access denied',
+        error: error || `You do not have permission to ${action} ${resource}`
+    });
+};
+
+// Middleware factory; runs after authenticate.
+// When loadResource is given the record is fetched and checked against the caller's scope,
+// and attached to req.resource. Missing records fall through so the route can answer 404.
+const authorize = (resource, action, loadResource) => async (req, res, next) => {
+    try {
+        if (!req.user || !(await can(req.user, resource, action))) {
+            return sendForbidden(res, resource, action);
+        }
+
+        if (req.apiKey && !hasScope(req.apiKey, resource, action)) {
+            const required = (scopeRequirements[resource] || {})[action];
+            return sendForbidden(res, resource, action, required
+                ? `API key is missing the ${required} scope`
+                : `API keys cannot ${action} ${resource}`);
+        }
+
+        if (loadResource) {
+            const doc = await loadResource(req);
+            if (doc && !(await can(req.user, resource, action, doc))) {
+                return sendForbidden(res, resource, action);
+            }
+            req.resource = doc;
+        }
+
+        next();
+    } catch (error) {
+        console.error('Error authorizing request:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while checking permissions'
+        });
+    }
+};
+
+module.exports = {
+    authorize,
+    can,
+    getScope,
+    buildOwnerFilter,
+    hasScope,
+    sendForbidden
+};
@@ -0,0 +1,59 @@
+const multer = require('multer');
+const storageConfig = require('../config/storage');
+
+// Multipart parser for a single attachment held in memory, so it can be hashed before storing
+const attachmentUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: Math.floor(storageConfig.maxFileSizeMb * 1024 * 1024),
+        files: 1
+    },
+    fileFilter: (req, file, cb) => {
+        if (!storageConfig.allowedMimeTypes.includes(file.mimetype)) {
+            const error = new Error(`File type ${file.mimetype} is not allowed`);
+            error.code = 'UNSUPPORTED_TYPE';
+            return cb(error);
+        }
+        cb(null, true);
+    }
+}).single('file');
+
+// Parse the `file` field, answering upload problems with 400, 413 or 415
+const uploadAttachment = (req, res, next) => {
+    attachmentUpload(req, res, (error) => {
+        if (!error) {
+            if (!req.file) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A file is required in the "file" field'
+                });
+            }
+            return next();
+        }
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({
+                success: false,
+                message: `File cannot exceed ${storageConfig.maxFileSizeMb} MB`
+            });
+        }
+        if (error.code === 'UNSUPPORTED_TYPE') {
+            return res.status(415).json({
+                success: false,
+                message: error.message,
+                allowedTypes: storageConfig.allowedMimeTypes
+            });
+        }
+        if (error instanceof multer.MulterError) {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        next(error);
+    });
+};
+
+module.exports = {
+    uploadAttachment
+};
@@ -1,4 +1,13 @@
 const { body, param, query, validationResult } = require('express-validator');
+const { apiKeyScopes } = require('../config/permissions');
+const { isValidTimezone } = require('../utils/timezone');
+const { parseRule } = require('../utils/recurrence');
+const taskConfig = require('../config/tasks');
+const { statuses, guardFields } = require('../config/workflows');
+const searchConfig = require('../config/search');
+const viewConfig = require('../config/views');
+const { parseTaskFilter } = require('../utils/taskFilter');
+const { parseFields, parseExpand } = require('../utils/fieldsets');
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -17,12 +26,235 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Recurrence rules are RRULE strings; parseRule's error explains what is wrong
+const recurrenceRule = () => body('recurrence')
+    .optional()
+    .isString()
+    .withMessage('Recurrence must be an RRULE string such as FREQ=WEEKLY;BYDAY=MO')
+    .bail()
+    .custom((value) => {
+        parseRule(value);
+        return true;
+    });
+
+// actualHours is the sum of a task's time entries, see TimeEntry.syncTaskHours
+const actualHoursRule = () => body('actualHours')
+    .not()
+    .exists()
+    .withMessage('Actual hours are worked out from time entries; log time instead');
+
+// A status names a state of the task's workflow; the route checks it against that workflow
+const workflowState = () => body('status')
+    .optional()
+    .isString()
+    .withMessage('Status must be a workflow state key')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Status must be between 1 and 50 characters');
+
+// A filter in the task filter language; the error names the offending term
+const taskFilter = (field) => field
+    .optional()
+    .isString()
+    .withMessage('Filter must be a string')
+    .bail()
+    .isLength({ max: 500 })
+    .withMessage('Filter cannot exceed 500 characters')
+    .bail()
+    .custom((value) => {
+        parseTaskFilter(value);
+        return true;
+    });
+
+// The task list filters of GET /api/tasks, given in a body object such as the bulk filter
+const taskListFilters = (object) => [
+    taskFilter(body(`${object}.q`)),
+    body(`${object}.status`)
+        .optional()
+        .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
+        .withMessage('Status must be pending, in-progress, completed, or cancelled'),
+    body(`${object}.state`)
+        .optional()
+        .isLength({ min: 1, max: 50 })
+        .withMessage('State must be between 1 and 50 characters'),
+    body(`${object}.project`)
+        .optional()
+        .isMongoId()
+        .withMessage('Project ID must be a valid MongoDB ObjectId'),
+    body(`${object}.priority`)
+        .optional()
+        .isIn(['low', 'medium', 'high', 'urgent'])
+        .withMessage('Priority must be low, medium, high, or urgent'),
+    body(`${object}.category`)
+        .optional()
+        .isIn(['work', 'personal', 'shopping', 'health', 'education', 'other'])
+        .withMessage('Category must be work, personal, shopping, health, education, or other'),
+    body(`${object}.assignedTo`)
+        .optional()
+        .isMongoId()
+        .withMessage('Assigned user ID must be a valid MongoDB ObjectId'),
+    body(`${object}.search`)
+        .optional()
+        .isString()
+        .withMessage('Search must be a string')
+        .bail()
+        .isLength({ max: 200 })
+        .withMessage('Search cannot exceed 200 characters'),
+    body([`${object}.overdue`, `${object}.dueToday`, `${object}.blocked`])
+        .optional()
+        .isBoolean()
+        .withMessage('Filter flags must be boolean values')
+];
+
+// Some workflow transitions require a reason
+const transitionReason = () => body('reason')
+    .optional()
+    .isString()
+    .withMessage('Reason must be a string')
+    .bail()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters');
+
+// Cursors of paginated lists, which replace the page number, and whether to count all matches.
+// Cursors are checked against the list's sort when it is fetched.
+const pageCursors = () => [
+    query(['after', 'before'])
+        .optional()
+        .isString()
+        .withMessage('Cursor must be a string')
+        .bail()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Cursor must be between 1 and 1000 characters')
+        .bail()
+        .custom((value, { req, path }) => {
+            if (req.query.page !== undefined) {
+                throw new Error('Use either page or a cursor, not both');
+            }
+            if (path === 'before' && req.query.after !== undefined) {
+                throw new Error('Use either after or before, not both');
+            }
+            return true;
+        }),
+    query('count')
+        .optional()
+        .isBoolean()
+        .withMessage('count must be a boolean value')
+];
+
+// fields and expand of a read endpoint, checked against what config/fieldsets allows for the resource
+const fieldsetParams = (resource) => [
+    query('fields')
+        .optional()
+        .isString()
+        .withMessage('Fields must be a comma-separated list')
+        .bail()
+        .custom((value) => {
+            parseFields(resource, value);
+            return true;
+        }),
+    query('expand')
+        .optional()
+        .isString()
+        .withMessage('Expand must be a comma-separated list')
+        .bail()
+        .custom((value) => {
+            parseExpand(resource, value);
+            return true;
+        })
+];
+
+// Fields a new task or subtask can be created with
+const newTaskFields = () => [
+    body('title')
+        .notEmpty()
+        .withMessage('Title is required')
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Title must be between 1 and 100 characters')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+        .trim(),
+    workflowState(),
+    body('priority')
+        .optional()
+        .isIn(['low', 'medium', 'high', 'urgent'])
+        .withMessage('Priority must be low, medium, high, or urgent'),
+    body('category')
+        .optional()
+        .isIn(['work', 'personal', 'shopping', 'health', 'education', 'other'])
+        .withMessage('Category must be work, personal, shopping, health, education, or other'),
+    body('dueDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Due date must be a valid date')
+        .custom((value) => {
+            if (new Date(value) <= new Date()) {
+                throw new Error('Due date must be in the future');
+            }
+            return true;
+        }),
+    body('assignedTo')
+        .optional()
+        .isMongoId()
+        .withMessage('Assigned user ID must be a valid MongoDB ObjectId'),
+    body('tags')
+        .optional()
+        .isArray()
+        .withMessage('Tags must be an array'),
+    body('tags.*')
+        .optional()
+        .isLength({ min: 1, max: 20 })
+        .withMessage('Each tag must be between 1 and 20 characters')
+        .trim(),
+    body('estimatedHours')
+        .optional()
+        .isFloat({ min: 0, max: 1000 })
+        .withMessage('Estimated hours must be between 0 and 1000'),
+    actualHoursRule()
+];
+
 // Task validation rules
 const taskValidationRules = {
     create: [
+        ...newTaskFields(),
+        body('project')
+            .optional({ values: 'null' })
+            .isMongoId()
+            .withMessage('Project ID must be a valid MongoDB ObjectId'),
+        recurrenceRule()
+            .custom((value, { req }) => {
+                if (!req.body.dueDate) {
+                    throw new Error('A recurring task needs a due date');
+                }
+                return true;
+            })
+    ],
+    
+    // Subtasks always belong to the project of their parent and cannot recur
+    createSubtask: [
+        ...newTaskFields(),
+        body('project')
+            .not()
+            .exists()
+            .withMessage('Subtasks belong to the project of their parent'),
+        body('recurrence')
+            .not()
+            .exists()
+            .withMessage('Subtasks cannot recur')
+    ],
+    
+    update: [
+        param('id')
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId'),
         body('title')
+            .optional()
             .notEmpty()
-            .withMessage('Title is required')
+            .withMessage('Title cannot be empty')
             .isLength({ min: 1, max: 100 })
             .withMessage('Title must be between 1 and 100 characters')
             .trim(),
@@ -31,10 +263,7 @@ const taskValidationRules = {
             .isLength({ max: 500 })
             .withMessage('Description cannot exceed 500 characters')
             .trim(),
-        body('status')
-            .optional()
-            .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
-            .withMessage('Status must be pending, in-progress, completed, or cancelled'),
+        workflowState(),
         body('priority')
             .optional()
             .isIn(['low', 'medium', 'high', 'urgent'])
@@ -46,17 +275,15 @@ const taskValidationRules = {
         body('dueDate')
             .optional()
             .isISO8601()
-            .withMessage('Due date must be a valid date')
-            .custom((value) => {
-                if (new Date(value) <= new Date()) {
-                    throw new Error('Due date must be in the future');
-                }
-                return true;
-            }),
+            .withMessage('Due date must be a valid date'),
         body('assignedTo')
             .optional()
             .isMongoId()
             .withMessage('Assigned user ID must be a valid MongoDB ObjectId'),
+        body('project')
+            .optional({ values: 'null' })
+            .isMongoId()
+            .withMessage('Project ID must be a valid MongoDB ObjectId'),
         body('tags')
             .optional()
             .isArray()
@@ -70,13 +297,48 @@ const taskValidationRules = {
             .optional()
             .isFloat({ min: 0, max: 1000 })
             .withMessage('Estimated hours must be between 0 and 1000'),
-        body('actualHours')
+        actualHoursRule(),
+        transitionReason(),
+        body('force')
             .optional()
-            .isFloat({ min: 0 })
-            .withMessage('Actual hours must be non-negative')
+            .isBoolean()
+            .withMessage('Force must be a boolean value')
     ],
     
-    update: [
+    getById: [
+        param('id')
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId')
+    ],
+    
+    fieldset: fieldsetParams('task'),
+    
+    remove: [
+        param('id')
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId'),
+        query('subtasks')
+            .optional()
+            .isIn(['cascade', 'orphan'])
+            .withMessage('Subtasks must be cascade or orphan')
+    ],
+    
+    status: [
+        param('id')
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId'),
+        body('status')
+            .notEmpty()
+            .withMessage('Status is required'),
+        workflowState(),
+        transitionReason(),
+        body('force')
+            .optional()
+            .isBoolean()
+            .withMessage('Force must be a boolean value')
+    ],
+    
+    series: [
         param('id')
             .isMongoId()
             .withMessage('Task ID must be a valid MongoDB ObjectId'),
@@ -92,10 +354,6 @@ const taskValidationRules = {
             .isLength({ max: 500 })
             .withMessage('Description cannot exceed 500 characters')
             .trim(),
-        body('status')
-            .optional()
-            .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
-            .withMessage('Status must be pending, in-progress, completed, or cancelled'),
         body('priority')
             .optional()
             .isIn(['low', 'medium', 'high', 'urgent'])
@@ -104,10 +362,6 @@ const taskValidationRules = {
             .optional()
             .isIn(['work', 'personal', 'shopping', 'health', 'education', 'other'])
             .withMessage('Category must be work, personal, shopping, health, education, or other'),
-        body('dueDate')
-            .optional()
-            .isISO8601()
-            .withMessage('Due date must be a valid date'),
         body('assignedTo')
             .optional()
             .isMongoId()
@@ -125,16 +379,39 @@ const taskValidationRules = {
             .optional()
             .isFloat({ min: 0, max: 1000 })
             .withMessage('Estimated hours must be between 0 and 1000'),
-        body('actualHours')
+        recurrenceRule()
+    ],
+    
+    history: [
+        param('id')
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId'),
+        query('page')
             .optional()
-            .isFloat({ min: 0 })
-            .withMessage('Actual hours must be non-negative')
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
     ],
     
-    getById: [
+    addDependency: [
         param('id')
             .isMongoId()
-            .withMessage('Task ID must be a valid MongoDB ObjectId')
+            .withMessage('Task ID must be a valid MongoDB ObjectId'),
+        body('blockedBy')
+            .isMongoId()
+            .withMessage('Blocking task ID must be a valid MongoDB ObjectId')
+    ],
+    
+    removeDependency: [
+        param('id')
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId'),
+        param('blockerId')
+            .isMongoId()
+            .withMessage('Blocking task ID must be a valid MongoDB ObjectId')
     ],
     
     query: [
@@ -146,10 +423,21 @@ const taskValidationRules = {
             .optional()
             .isInt({ min: 1, max: 100 })
             .withMessage('Limit must be between 1 and 100'),
+        ...pageCursors(),
+        ...fieldsetParams('task'),
+        taskFilter(query('q')),
         query('status')
             .optional()
             .isIn(['pending', 'in-progress', 'completed', 'cancelled'])
             .withMessage('Status must be pending, in-progress, completed, or cancelled'),
+        query('state')
+            .optional()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('State must be between 1 and 50 characters'),
+        query('project')
+            .optional()
+            .isMongoId()
+            .withMessage('Project ID must be a valid MongoDB ObjectId'),
         query('priority')
             .optional()
             .isIn(['low', 'medium', 'high', 'urgent'])
@@ -162,14 +450,160 @@ const taskValidationRules = {
             .optional()
             .isMongoId()
             .withMessage('Assigned user ID must be a valid MongoDB ObjectId'),
+        query('search')
+            .optional()
+            .isString()
+            .withMessage('Search must be a string')
+            .bail()
+            .isLength({ max: 200 })
+            .withMessage('Search cannot exceed 200 characters'),
         query('sortBy')
             .optional()
-            .isIn(['createdAt', 'updatedAt', 'dueDate', 'priority', 'title'])
-            .withMessage('Sort field must be createdAt, updatedAt, dueDate, priority, or title'),
+            .isIn(['createdAt', 'updatedAt', 'dueDate', 'priority', 'title', 'relevance'])
+            .withMessage('Sort field must be createdAt, updatedAt, dueDate, priority, title, or relevance'),
         query('sortOrder')
             .optional()
             .isIn(['asc', 'desc'])
-            .withMessage('Sort order must be asc or desc')
+            .withMessage('Sort order must be asc or desc'),
+        query('dueToday')
+            .optional()
+            .isBoolean()
+            .withMessage('dueToday must be a boolean value'),
+        query('blocked')
+            .optional()
+            .isBoolean()
+            .withMessage('blocked must be a boolean value')
+    ],
+    
+    // Values are checked per task against the update rules, so only the request's shape is checked here
+    bulk: [
+        body('operation')
+            .isIn(['status', 'priority', 'assign', 'addTags', 'removeTags', 'category', 'delete'])
+            .withMessage('Operation must be status, priority, assign, addTags, removeTags, category, or delete'),
+        body('value')
+            .if(body('operation').not().equals('delete'))
+            .exists({ values: 'null' })
+            .withMessage('Value is required for this operation'),
+        body('ids')
+            .optional()
+            .isArray({ min: 1, max: taskConfig.bulkMaxTasks })
+            .withMessage(`Ids must be an array of 1 to ${taskConfig.bulkMaxTasks} task IDs`),
+        body('filter')
+            .optional()
+            .isObject()
+            .withMessage('Filter must be an object')
+            .bail()
+            .custom((value, { req }) => {
+                if (req.body.ids !== undefined) {
+                    throw new Error('Provide either ids or filter, not both');
+                }
+                return true;
+            }),
+        body('ids')
+            .if(body('filter').not().exists())
+            .exists()
+            .withMessage('Either ids or filter is required'),
+        ...taskListFilters('filter'),
+        body('subtasks')
+            .optional()
+            .isIn(['cascade', 'orphan'])
+            .withMessage('Subtasks must be cascade or orphan'),
+        transitionReason(),
+        body(['force', 'dryRun'])
+            .optional()
+            .isBoolean()
+            .withMessage('force and dryRun must be boolean values')
+    ]
+};
+
+// Workflow validation rules. How states and transitions fit together is checked by the model.
+const workflowIdParam = () => param('id')
+    .isMongoId()
+    .withMessage('Workflow ID must be a valid MongoDB ObjectId');
+
+const workflowDefinition = (isUpdate) => [
+    body('name')
+        .if(() => !isUpdate).notEmpty()
+        .withMessage('Workflow name is required'),
+    body('name')
+        .optional()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('Workflow name must be between 1 and 100 characters')
+        .trim(),
+    body('description')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+        .trim(),
+    body('states')
+        .if(() => !isUpdate).exists()
+        .withMessage('States are required'),
+    body('states')
+        .optional()
+        .isArray({ min: 1 })
+        .withMessage('States must be a non-empty array'),
+    body('states.*.key')
+        .matches(/^[a-z0-9][a-z0-9_-]*$/)
+        .withMessage('State keys may only contain lowercase letters, digits, - and _')
+        .isLength({ max: 50 })
+        .withMessage('State keys cannot exceed 50 characters'),
+    body('states.*.name')
+        .isLength({ min: 1, max: 50 })
+        .withMessage('State names must be between 1 and 50 characters')
+        .trim(),
+    body('states.*.status')
+        .isIn(statuses)
+        .withMessage(`State status must be ${statuses.join(', ')}`),
+    body('initialState')
+        .if(() => !isUpdate).exists()
+        .withMessage('Initial state is required'),
+    body('transitions')
+        .optional()
+        .isArray()
+        .withMessage('Transitions must be an array'),
+    body('transitions.*.from')
+        .optional()
+        .isArray()
+        .withMessage('Transition from must be an array of state keys'),
+    body('transitions.*.to')
+        .isString()
+        .withMessage('Transition to must be a state key'),
+    body('transitions.*.guards')
+        .optional()
+        .isArray()
+        .withMessage('Transition guards must be an array'),
+    body('transitions.*.guards.*.type')
+        .isIn(['requireReason', 'requireField', 'requireRole'])
+        .withMessage('Guard type must be requireReason, requireField, or requireRole'),
+    body('transitions.*.guards.*.field')
+        .optional()
+        .isIn(guardFields)
+        .withMessage(`Guard field must be ${guardFields.join(', ')}`),
+    body('transitions.*.guards.*.roles')
+        .optional()
+        .isArray()
+        .withMessage('Guard roles must be an array')
+];
+
+const workflowValidationRules = {
+    create: workflowDefinition(false),
+    update: [workflowIdParam(), ...workflowDefinition(true)],
+    getById: [workflowIdParam()]
+};
+
+// Project list validation rules; project writes are checked in server.js
+const projectValidationRules = {
+    query: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        ...pageCursors(),
+        ...fieldsetParams('project')
     ]
 };
 
@@ -270,6 +704,8 @@ const userValidationRules = {
             .withMessage('User ID must be a valid MongoDB ObjectId')
     ],
     
+    fieldset: fieldsetParams('user'),
+    
     query: [
         query('page')
             .optional()
@@ -279,6 +715,8 @@ const userValidationRules = {
             .optional()
             .isInt({ min: 1, max: 100 })
             .withMessage('Limit must be between 1 and 100'),
+        ...pageCursors(),
+        ...fieldsetParams('user'),
         query('role')
             .optional()
             .isIn(['admin', 'manager', 'user'])
@@ -293,8 +731,477 @@ const userValidationRules = {
             .withMessage('isActive must be a boolean value'),
         query('search')
             .optional()
-            .isLength({ min: 1 })
-            .withMessage('Search query cannot be empty')
+            .isLength({ min: 1, max: 200 })
+            .withMessage('Search query must be between 1 and 200 characters')
+    ]
+};
+
+// Comment validation rules
+const taskIdParam = () => param('id')
+    .isMongoId()
+    .withMessage('Task ID must be a valid MongoDB ObjectId');
+
+const commentIdParam = () => param('commentId')
+    .isMongoId()
+    .withMessage('Comment ID must be a valid MongoDB ObjectId');
+
+const commentBody = () => body('body')
+    .isString()
+    .withMessage('Comment body must be a string')
+    .trim()
+    .notEmpty()
+    .withMessage('Comment body is required')
+    .isLength({ max: 2000 })
+    .withMessage('Comment cannot exceed 2000 characters');
+
+const commentValidationRules = {
+    list: [
+        taskIdParam()
+    ],
+    
+    create: [
+        taskIdParam(),
+        commentBody(),
+        body('parent')
+            .optional()
+            .isMongoId()
+            .withMessage('Parent comment ID must be a valid MongoDB ObjectId')
+    ],
+    
+    update: [
+        taskIdParam(),
+        commentIdParam(),
+        commentBody()
+    ],
+    
+    remove: [
+        taskIdParam(),
+        commentIdParam()
+    ]
+};
+
+// Attachment validation rules
+const attachmentValidationRules = {
+    upload: [
+        taskIdParam()
+    ],
+    
+    item: [
+        taskIdParam(),
+        param('attachmentId')
+            .isMongoId()
+            .withMessage('Attachment ID must be a valid MongoDB ObjectId')
+    ]
+};
+
+// Trash validation rules
+const trashValidationRules = {
+    list: [
+        query('type')
+            .optional()
+            .isIn(['task', 'project', 'category', 'user'])
+            .withMessage('Type must be task, project, category, or user'),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100')
+    ]
+};
+
+// Search validation rules
+const searchValidationRules = {
+    query: [
+        query('q')
+            .isString()
+            .withMessage('Search query is required')
+            .bail()
+            .trim()
+            .isLength({ min: 1, max: 200 })
+            .withMessage('Search query must be between 1 and 200 characters'),
+        query('types')
+            .optional()
+            .isString()
+            .withMessage('Types must be a comma-separated list')
+            .bail()
+            .customSanitizer(value => [...new Set(value.split(',').map(type => type.trim()).filter(Boolean))])
+            .custom(types => types.length > 0 && types.every(type => ['task', 'project', 'user'].includes(type)))
+            .withMessage('Types must be a comma-separated list of task, project, and user'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: searchConfig.maxLimit })
+            .withMessage(`Limit must be between 1 and ${searchConfig.maxLimit}`)
+    ]
+};
+
+// Saved view validation rules
+const viewIdParam = () => param('id')
+    .isMongoId()
+    .withMessage('View ID must be a valid MongoDB ObjectId');
+
+const viewDefinition = (isUpdate) => [
+    body('name')
+        .if(() => !isUpdate).notEmpty()
+        .withMessage('View name is required'),
+    body('name')
+        .optional()
+        .isString()
+        .withMessage('View name must be a string')
+        .bail()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage('View name must be between 1 and 100 characters'),
+    body('description')
+        .optional()
+        .isString()
+        .withMessage('Description must be a string')
+        .bail()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters'),
+    body('visibility')
+        .optional()
+        .isIn(['private', 'department'])
+        .withMessage('Visibility must be private or department'),
+    body('filters')
+        .optional()
+        .isObject()
+        .withMessage('Filters must be an object'),
+    ...taskListFilters('filters'),
+    body('sort')
+        .optional()
+        .isObject()
+        .withMessage('Sort must be an object'),
+    body('sort.by')
+        .optional()
+        .isIn(['createdAt', 'updatedAt', 'dueDate', 'priority', 'title', 'relevance'])
+        .withMessage('Sort field must be createdAt, updatedAt, dueDate, priority, title, or relevance'),
+    body('sort.order')
+        .optional()
+        .isIn(['asc', 'desc'])
+        .withMessage('Sort order must be asc or desc'),
+    body('columns')
+        .optional()
+        .isArray({ min: 1, max: viewConfig.columns.length })
+        .withMessage(`Columns must be an array of 1 to ${viewConfig.columns.length} task fields`),
+    body('columns.*')
+        .isIn(viewConfig.columns)
+        .withMessage(`Columns must be among ${viewConfig.columns.join(', ')}`)
+];
+
+const viewValidationRules = {
+    create: viewDefinition(false),
+    update: [viewIdParam(), ...viewDefinition(true)],
+    getById: [viewIdParam()],
+    tasks: [
+        viewIdParam(),
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        ...pageCursors(),
+        ...fieldsetParams('task')
+    ]
+};
+
+// Activity feed validation rules
+const activityValidationRules = {
+    query: [
+        query('page')
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage('Page must be a positive integer'),
+        query('limit')
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage('Limit must be between 1 and 100'),
+        query('resourceType')
+            .optional()
+            .isIn(['task', 'project'])
+            .withMessage('Resource type must be task or project'),
+        query('resource')
+            .optional()
+            .isMongoId()
+            .withMessage('Resource ID must be a valid MongoDB ObjectId'),
+        query('actor')
+            .optional()
+            .isMongoId()
+            .withMessage('Actor ID must be a valid MongoDB ObjectId'),
+        query('action')
+            .optional()
+            .isIn(['create', 'update', 'status', 'delete', 'restore'])
+            .withMessage('Action must be create, update, status, delete, or restore'),
+        query('field')
+            .optional()
+            .isLength({ min: 1, max: 50 })
+            .withMessage('Field must be between 1 and 50 characters'),
+        query(['from', 'to'])
+            .optional()
+            .isISO8601()
+            .withMessage('Dates must be valid ISO 8601 dates')
+    ]
+};
+
+// Time entry validation rules
+const timeEntryListQuery = () => [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage('Limit must be between 1 and 100'),
+    query('user')
+        .optional()
+        .isMongoId()
+        .withMessage('User ID must be a valid MongoDB ObjectId'),
+    query(['from', 'to'])
+        .optional()
+        .isISO8601()
+        .withMessage('Dates must be valid ISO 8601 dates'),
+    query('billable')
+        .optional()
+        .isBoolean()
+        .withMessage('billable must be a boolean value')
+];
+
+const timeEntryDetails = () => [
+    body('note')
+        .optional()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters')
+        .trim(),
+    body('billable')
+        .optional()
+        .isBoolean()
+        .withMessage('Billable must be a boolean value')
+];
+
+const notInFuture = (field) => body(field)
+    .optional()
+    .isISO8601()
+    .withMessage('Times must be valid ISO 8601 dates')
+    .custom((value) => {
+        if (new Date(value) > new Date()) {
+            throw new Error('Time entries cannot be in the future');
+        }
+        return true;
+    });
+
+const timeEntryValidationRules = {
+    list: [
+        ...timeEntryListQuery(),
+        query('task')
+            .optional()
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId')
+    ],
+    
+    taskList: [
+        taskIdParam(),
+        ...timeEntryListQuery()
+    ],
+    
+    create: [
+        body('task')
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId'),
+        body('startedAt')
+            .notEmpty()
+            .withMessage('Start time is required'),
+        notInFuture('startedAt'),
+        notInFuture('endedAt'),
+        body('durationMinutes')
+            .optional()
+            .isInt({ min: 1, max: 1440 })
+            .withMessage('Duration must be between 1 and 1440 minutes'),
+        body()
+            .custom((value) => {
+                if (!value.endedAt && !value.durationMinutes) {
+                    throw new Error('An end time or a duration is required');
+                }
+                return true;
+            }),
+        ...timeEntryDetails()
+    ],
+    
+    start: [
+        body('task')
+            .isMongoId()
+            .withMessage('Task ID must be a valid MongoDB ObjectId'),
+        ...timeEntryDetails()
+    ],
+    
+    update: [
+        param('id')
+            .isMongoId()
+            .withMessage('Time entry ID must be a valid MongoDB ObjectId'),
+        notInFuture('startedAt'),
+        notInFuture('endedAt'),
+        ...timeEntryDetails()
+    ],
+    
+    remove: [
+        param('id')
+            .isMongoId()
+            .withMessage('Time entry ID must be a valid MongoDB ObjectId')
+    ]
+};
+
+// Preference validation rules
+const preferenceValidationRules = {
+    update: [
+        body('theme')
+            .optional()
+            .isIn(['light', 'dark', 'auto'])
+            .withMessage('Theme must be light, dark, or auto'),
+        body('notifications')
+            .optional()
+            .isObject()
+            .withMessage('Notifications must be an object'),
+        body(['notifications.email', 'notifications.push', 'notifications.taskAssigned', 'notifications.taskDue'])
+            .optional()
+            .isBoolean({ strict: true })
+            .withMessage('Notification settings must be true or false'),
+        body('timezone')
+            .optional()
+            .custom(isValidTimezone)
+            .withMessage('Timezone must be a valid IANA timezone such as Europe/Berlin')
+    ]
+};
+
+// Auth validation rules
+const authValidationRules = {
+    refresh: [
+        body('refreshToken')
+            .notEmpty()
+            .withMessage('Refresh token is required')
+            .isJWT()
+            .withMessage('Refresh token is malformed')
+    ],
+    
+    forgotPassword: [
+        body('email')
+            .isEmail()
+            .withMessage('Please provide a valid email address')
+            .normalizeEmail()
+            .toLowerCase()
+    ],
+    
+    verifyEmail: [
+        query('token')
+            .notEmpty()
+            .withMessage('Verification token is required')
+            .isJWT()
+            .withMessage('Verification token is malformed')
+    ],
+    
+    resendVerification: [
+        body('email')
+            .isEmail()
+            .withMessage('Please provide a valid email address')
+            .normalizeEmail()
+            .toLowerCase()
+    ],
+    
+    resetPassword: [
+        body('token')
+            .notEmpty()
+            .withMessage('Reset token is required')
+            .isHexadecimal()
+            .withMessage('Reset token is malformed'),
+        body('password')
+            .isLength({ min: 6 })
+            .withMessage('Password must be at least 6 characters long')
+            .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+            .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number')
+    ]
+};
+
+// Two-factor validation rules
+const twoFactorCode = (field) => body(field)
+    .matches(/^\d{6}$/)
+    .withMessage('Code must be a 6-digit number');
+
+const twoFactorValidationRules = {
+    enable: [
+        twoFactorCode('code')
+    ],
+    
+    disable: [
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required'),
+        twoFactorCode('code')
+    ],
+    
+    regenerate: [
+        twoFactorCode('code')
+    ],
+    
+    login: [
+        body('challengeToken')
+            .notEmpty()
+            .withMessage('Challenge token is required')
+            .isJWT()
+            .withMessage('Challenge token is malformed'),
+        body('code')
+            .optional()
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be a 6-digit number'),
+        body('recoveryCode')
+            .optional()
+            .isString()
+            .withMessage('Recovery code must be a string'),
+        body()
+            .custom((value) => {
+                if (!value.code && !value.recoveryCode) {
+                    throw new Error('A code or recovery code is required');
+                }
+                return true;
+            })
+    ]
+};
+
+// API key validation rules
+const apiKeyValidationRules = {
+    create: [
+        body('name')
+            .notEmpty()
+            .withMessage('Name is required')
+            .isLength({ max: 50 })
+            .withMessage('Name cannot exceed 50 characters')
+            .trim(),
+        body('scopes')
+            .isArray({ min: 1 })
+            .withMessage('Scopes must be a non-empty array'),
+        body('scopes.*')
+            .isIn(apiKeyScopes)
+            .withMessage(`Scope must be one of ${apiKeyScopes.join(', ')}`),
+        body('expiresAt')
+            .optional()
+            .isISO8601()
+            .withMessage('Expiry must be a valid date')
+            .custom((value) => {
+                if (new Date(value) <= new Date()) {
+                    throw new Error('Expiry must be in the future');
+                }
+                return true;
+            })
+    ],
+    
+    revoke: [
+        param('id')
+            .isMongoId()
+            .withMessage('API key ID must be a valid MongoDB ObjectId')
     ]
 };
 
@@ -310,6 +1217,19 @@ const generalValidationRules = {
 module.exports = {
     handleValidationErrors,
     taskValidationRules,
+    workflowValidationRules,
+    projectValidationRules,
     userValidationRules,
+    commentValidationRules,
+    attachmentValidationRules,
+    activityValidationRules,
+    trashValidationRules,
+    searchValidationRules,
+    viewValidationRules,
+    timeEntryValidationRules,
+    preferenceValidationRules,
+    authValidationRules,
+    twoFactorValidationRules,
+    apiKeyValidationRules,
     generalValidationRules
 };
\ No newline at end of file
@@ -0,0 +1,47 @@
+// Activity model: an audit record of a change to a task or project
+const mongoose = require('mongoose');
+
+const activitySchema = new mongoose.Schema({
+    resourceType: {
+        type: String,
+        enum: ['task', 'project'],
+        required: true
+    },
+    resource: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Title or name at the time of the change, so deleted records stay recognisable
+    resourceName: {
+        type: String
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'status', 'delete', 'restore'],
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Field-level diff; before is null on create and restore, and after is null on delete
+    changes: [{
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    // Why the change was made, when a workflow transition asked for a reason
+    reason: {
+        type: String,
+        maxlength: 500
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+activitySchema.index({ resourceType: 1, resource: 1, createdAt: -1 });
+activitySchema.index({ actor: 1, createdAt: -1 });
+activitySchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Activity', activitySchema);
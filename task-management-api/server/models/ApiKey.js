@@ -0,0 +1,80 @@
+// API key model
+const mongoose = require('mongoose');
+const { apiKeyScopes } = require('../config/permissions');
+
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'API key name is required'],
+        trim: true,
+        maxlength: [50, 'API key name cannot exceed 50 characters']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    scopes: {
+        type: [{
+            type: String,
+            enum: {
+                values: apiKeyScopes,
+                message: `Scope must be one of ${apiKeyScopes.join(', ')}`
+            }
+        }],
+        validate: {
+            validator: scopes => scopes.length > 0,
+            message: 'At least one scope is required'
+        }
+    },
+    expiresAt: {
+        type: Date
+    },
+    lastUsedAt: {
+        type: Date
+    },
+    lastUsedIp: {
+        type: String
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret.keyHash;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+    return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+});
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+apiKeySchema.methods.hasScope = function(scope) {
+    return this.scopes.includes(scope);
+};
+
+apiKeySchema.methods.revoke = function() {
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,30 @@
+// Category model
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+
+const categorySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Category name is required'],
+        unique: true,
+        maxlength: [50, 'Category name cannot exceed 50 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    color: {
+        type: String,
+        match: [/^#[0-9A-F]{6}$/i, 'Color must be a hex value like #007bff'],
+        default: '#007bff'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Deleted categories go to the trash first; see plugins/softDelete
+categorySchema.plugin(softDelete);
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,99 @@
+// Comment model: discussion on a task, with one level of threaded replies
+const mongoose = require('mongoose');
+const searchConfig = require('../config/search');
+
+const commentSchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Top-level comment this is a reply to; replies cannot be replied to
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment'
+    },
+    body: {
+        type: String,
+        required: [true, 'Comment body is required'],
+        trim: true,
+        maxlength: [2000, 'Comment cannot exceed 2000 characters']
+    },
+    // Users @mentioned in the body, kept so they can be notified
+    mentions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Previous bodies, oldest first
+    editHistory: [{
+        body: String,
+        editedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    editedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+commentSchema.virtual('isEdited').get(function() {
+    return !!this.editedAt;
+});
+
+commentSchema.index({ task: 1, createdAt: 1 });
+commentSchema.index({ parent: 1 });
+commentSchema.index({ mentions: 1 });
+
+// Replace the body, keeping the old one in the edit history
+commentSchema.methods.edit = function(body, mentions) {
+    this.editHistory.push({ body: this.body, editedAt: new Date() });
+    this.body = body;
+    this.mentions = mentions;
+    this.editedAt = new Date();
+    return this.save();
+};
+
+// Copy the bodies of a task's comments into Task.commentText, so the task can be found by them
+commentSchema.statics.syncTaskCommentText = async function(taskId) {
+    const comments = await this.find({ task: taskId }).sort({ createdAt: 1 }).select('body');
+    const commentText = comments
+        .map(comment => comment.body)
+        .join('\n')
+        .slice(0, searchConfig.maxCommentTextLength);
+    await mongoose.model('Task').updateOne({ _id: taskId }, { commentText }).setOptions({ withDeleted: true });
+    return commentText;
+};
+
+// Top-level comments of a task with their replies nested under each, oldest first
+commentSchema.statics.getThreads = async function(taskId) {
+    const comments = await this.find({ task: taskId })
+        .sort({ createdAt: 1 })
+        .populate('author', 'name email')
+        .populate('mentions', 'name email');
+
+    const threads = comments
+        .filter(comment => !comment.parent)
+        .map(comment => ({ ...comment.toJSON(), replies: [] }));
+    const byId = new Map(threads.map(thread => [String(thread._id), thread]));
+
+    comments
+        .filter(comment => comment.parent)
+        .forEach(reply => {
+            const thread = byId.get(String(reply.parent));
+            if (thread) thread.replies.push(reply.toJSON());
+        });
+
+    return { threads, count: comments.length };
+};
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,57 @@
+// Project model
+const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const searchable = require('./plugins/searchable');
+const searchConfig = require('../config/search');
+
+const projectSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Project name is required'],
+        maxlength: [100, 'Project name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['active', 'completed', 'on-hold'],
+            message: 'Status must be active, completed, or on-hold'
+        },
+        default: 'active'
+    },
+    startDate: {
+        type: Date,
+        default: Date.now
+    },
+    endDate: {
+        type: Date
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Project owner is required']
+    },
+    tasks: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    }],
+    // Workflow the project's tasks follow; the default workflow when unset
+    workflow: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Workflow'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Deleted projects go to the trash first; see plugins/softDelete
+projectSchema.plugin(softDelete);
+// Name and description are searchable; see plugins/searchable
+projectSchema.plugin(searchable, { weights: searchConfig.weights.project });
+
+module.exports = mongoose.model('Project', projectSchema);
@@ -0,0 +1,81 @@
+// Session model: one per login on a device, holding the current refresh token
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    refreshTokenHash: {
+        type: String,
+        select: false
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    ip: {
+        type: String
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        transform: function(doc, ret) {
+            delete ret.refreshTokenHash;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+sessionSchema.methods.revoke = function() {
+    this.revokedAt = new Date();
+    return this.save();
+};
+
+// Record activity, at most once a minute to avoid a write on every request
+sessionSchema.methods.touch = function(ip) {
+    if (Date.now() - this.lastSeenAt.getTime() < 60 * 1000) {
+        return Promise.resolve(this);
+    }
+    return this.constructor.updateOne({ _id: this._id }, { lastSeenAt: new Date(), ip });
+};
+
+sessionSchema.statics.findActiveForUser = function(userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+};
+
+sessionSchema.statics.revokeAllForUser = function(userId, exceptSessionId) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+    return this.updateMany(filter, { revokedAt: new Date() });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
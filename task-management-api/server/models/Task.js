@@ -1,5 +1,12 @@
 // Task model
 const mongoose = require('mongoose');
+const TaskSeries = require('./TaskSeries');
+const User = require('./User');
+const softDelete = require('./plugins/softDelete');
+const searchable = require('./plugins/searchable');
+const searchConfig = require('../config/search');
+const { formatInTimezone, toLocalDateString } = require('../utils/timezone');
+const { getNextOccurrence } = require('../utils/recurrence');
 
 const taskSchema = new mongoose.Schema({
     title: {
@@ -21,6 +28,11 @@ const taskSchema = new mongoose.Schema({
         },
         default: 'pending'
     },
+    // Key of the task's state in its project's workflow; status is the built-in status it maps to
+    state: {
+        type: String,
+        trim: true
+    },
     priority: {
         type: String,
         enum: {
@@ -47,6 +59,34 @@ const taskSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    },
+    // Project the task belongs to, which decides its workflow
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    },
+    blockedBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task'
+    }],
+    // Set on occurrences of a recurring task
+    recurrence: {
+        series: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TaskSeries'
+        },
+        rule: String,
+        occurrence: Number,
+        // Due date the rule scheduled, kept when this occurrence alone is rescheduled
+        scheduledFor: Date
+    },
     tags: [{
         type: String,
         trim: true,
@@ -58,6 +98,14 @@ const taskSchema = new mongoose.Schema({
         uploadDate: {
             type: Date,
             default: Date.now
+        },
+        mimeType: String,
+        size: Number,
+        // SHA-256 of the content, which is also the storage key
+        hash: String,
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
         }
     }],
     completedAt: {
@@ -71,6 +119,11 @@ const taskSchema = new mongoose.Schema({
     actualHours: {
         type: Number,
         min: [0, 'Actual hours cannot be negative']
+    },
+    // Bodies of the task's comments for search, kept by Comment.syncTaskCommentText()
+    commentText: {
+        type: String,
+        select: false
     }
 }, {
     timestamps: true,
@@ -78,6 +131,11 @@ const taskSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
+// Deleted tasks go to the trash first; see plugins/softDelete
+taskSchema.plugin(softDelete);
+// Title, description, tags and comments are searchable; see plugins/searchable
+taskSchema.plugin(searchable, { weights: searchConfig.weights.task });
+
 // Virtual for task age in days
 taskSchema.virtual('ageInDays').get(function() {
     return Math.floor((new Date() - this.createdAt) / (1000 * 60 * 60 * 24));
@@ -88,6 +146,13 @@ taskSchema.virtual('isOverdue').get(function() {
     return this.dueDate && this.dueDate < new Date() && this.status !== 'completed';
 });
 
+// Virtual for direct subtasks
+taskSchema.virtual('subtasks', {
+    ref: 'Task',
+    localField: '_id',
+    foreignField: 'parent'
+});
+
 // Pre-save middleware to set completedAt when status changes to completed
 taskSchema.pre('save', function(next) {
     if (this.isModified('status')) {
@@ -100,9 +165,24 @@ taskSchema.pre('save', function(next) {
     next();
 });
 
+// The completedAt change that goes with moving a task to a status, for updates that bypass the
+// pre-save hook: set when the task becomes completed, unset when it leaves completed
+taskSchema.statics.getCompletionUpdate = function(task, status) {
+    if (status === 'completed') {
+        return task.status === 'completed' && task.completedAt ? {} : { completedAt: new Date() };
+    }
+    return task.completedAt ? { $unset: { completedAt: 1 } } : {};
+};
+
 // Indexes for better query performance
 taskSchema.index({ status: 1, priority: 1 });
 taskSchema.index({ assignedTo: 1 });
+taskSchema.index({ createdBy: 1 });
+taskSchema.index({ parent: 1 });
+taskSchema.index({ project: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ 'attachments.hash': 1 });
+taskSchema.index({ 'recurrence.series': 1, 'recurrence.occurrence': 1 });
 taskSchema.index({ dueDate: 1 });
 taskSchema.index({ category: 1 });
 taskSchema.index({ createdAt: -1 });
@@ -163,11 +243,201 @@ taskSchema.statics.getTaskStats = async function() {
     };
 };
 
+// Progress and hour rollups over every descendant of the given tasks, keyed by task id.
+// Hours include the task's own estimate and actuals; progress ignores cancelled subtasks.
+taskSchema.statics.getSubtaskRollups = async function(taskIds) {
+    const results = await this.aggregate([
+        { $match: { _id: { $in: taskIds } } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parent',
+                as: 'descendants',
+                restrictSearchWithMatch: { deletedAt: null }
+            }
+        },
+        {
+            $project: {
+                total: { $size: '$descendants' },
+                completed: {
+                    $size: { $filter: { input: '$descendants', cond: { $eq: ['$$this.status', 'completed'] } } }
+                },
+                cancelled: {
+                    $size: { $filter: { input: '$descendants', cond: { $eq: ['$$this.status', 'cancelled'] } } }
+                },
+                estimatedHours: { $add: [{ $ifNull: ['$estimatedHours', 0] }, { $sum: '$descendants.estimatedHours' }] },
+                actualHours: { $add: [{ $ifNull: ['$actualHours', 0] }, { $sum: '$descendants.actualHours' }] }
+            }
+        }
+    ]);
+
+    return new Map(results.map(result => {
+        const countable = result.total - result.cancelled;
+        return [String(result._id), {
+            subtasks: result.total,
+            completedSubtasks: result.completed,
+            openSubtasks: countable - result.completed,
+            progress: countable > 0 ? Math.round((result.completed / countable) * 100) : null,
+            estimatedHours: result.estimatedHours,
+            actualHours: result.actualHours
+        }];
+    }));
+};
+
+// Ids of every task below the given one
+taskSchema.statics.getDescendantIds = async function(taskId) {
+    const [result] = await this.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(taskId) } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parent',
+                as: 'descendants',
+                restrictSearchWithMatch: { deletedAt: null }
+            }
+        },
+        { $project: { ids: '$descendants._id' } }
+    ]);
+    return result ? result.ids : [];
+};
+
+taskSchema.statics.hasOpenSubtasks = function(taskId) {
+    return this.exists({ parent: taskId, status: { $nin: ['completed', 'cancelled'] } });
+};
+
+// Ids of tasks that block at least one other task and are still open
+taskSchema.statics.getOpenBlockerIds = async function() {
+    const blockerIds = await this.distinct('blockedBy');
+    return this.distinct('_id', { _id: { $in: blockerIds }, status: { $nin: ['completed', 'cancelled'] } });
+};
+
+// Blocking tasks of each given task, keyed by task id
+taskSchema.statics.getBlockers = async function(tasks) {
+    const blockerIds = tasks.flatMap(task => task.blockedBy || []);
+    const blockers = blockerIds.length
+        ? await this.find({ _id: { $in: blockerIds } }).select('title status')
+        : [];
+    const byId = new Map(blockers.map(blocker => [String(blocker._id), blocker]));
+
+    return new Map(tasks.map(task => [
+        String(task._id),
+        (task.blockedBy || [])
+            .map(id => byId.get(String(id)))
+            .filter(Boolean)
+            .map(blocker => ({
+                _id: blocker._id,
+                title: blocker.title,
+                status: blocker.status,
+                isOpen: !['completed', 'cancelled'].includes(blocker.status)
+            }))
+    ]));
+};
+
+// Whether making taskId blocked by blockerId would close a dependency cycle,
+// i.e. whether blockerId already depends on taskId directly or transitively
+taskSchema.statics.wouldCreateDependencyCycle = async function(taskId, blockerId) {
+    if (String(taskId) === String(blockerId)) {
+        return true;
+    }
+
+    const [result] = await this.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(blockerId) } },
+        {
+            $graphLookup: {
+                from: this.collection.name,
+                startWith: '$blockedBy',
+                connectFromField: 'blockedBy',
+                connectToField: '_id',
+                as: 'dependencies'
+            }
+        },
+        { $project: { ids: '$dependencies._id' } }
+    ]);
+    return Boolean(result && result.ids.some(id => id.equals(taskId)));
+};
+
 // Instance methods
-taskSchema.methods.markAsCompleted = function() {
+taskSchema.methods.markAsCompleted = async function() {
     this.status = 'completed';
     this.completedAt = new Date();
-    return this.save();
+    await this.save();
+    await this.generateNextOccurrence();
+    return this;
+};
+
+// Create the next occurrence of a recurring task once this one is completed. Dates follow
+// the rule in the series owner's timezone; occurrences already in the past are skipped.
+// Only the latest occurrence extends the series, so this returns null for anything else.
+taskSchema.methods.generateNextOccurrence = async function() {
+    const { series: seriesId, occurrence, scheduledFor } = this.recurrence || {};
+    const previousDue = scheduledFor || this.dueDate;
+    if (!seriesId || !previousDue) {
+        return null;
+    }
+
+    const series = await TaskSeries.findById(seriesId);
+    if (!series || series.stoppedAt || series.lastOccurrence !== occurrence) {
+        return null;
+    }
+
+    const owner = await User.findById(series.createdBy).select('preferences');
+    const timeZone = (owner && owner.preferences.timezone) || 'UTC';
+    const now = new Date();
+
+    let dueDate = previousDue;
+    let nextOccurrence = occurrence;
+    do {
+        dueDate = getNextOccurrence(series.rule, dueDate, { timeZone, startsAt: series.startsAt, index: nextOccurrence });
+        nextOccurrence++;
+    } while (dueDate && dueDate <= now);
+
+    if (!dueDate) {
+        return null;
+    }
+
+    // Claim the occurrence number first so concurrent completions create it only once
+    const claimed = await TaskSeries.findOneAndUpdate(
+        { _id: series._id, lastOccurrence: occurrence, stoppedAt: null },
+        { lastOccurrence: nextOccurrence }
+    );
+    if (!claimed) {
+        return null;
+    }
+
+    // Without a state the occurrence starts in the first pending state of the project's workflow
+    const nextTask = await this.constructor.create({
+        ...series.toObject().template,
+        status: 'pending',
+        dueDate,
+        parent: this.parent,
+        project: this.project,
+        createdBy: series.createdBy,
+        recurrence: {
+            series: series._id,
+            rule: series.rule,
+            occurrence: nextOccurrence,
+            scheduledFor: dueDate
+        }
+    });
+    if (nextTask.project) {
+        await mongoose.model('Project').updateOne({ _id: nextTask.project }, { $addToSet: { tasks: nextTask._id } });
+    }
+    return nextTask;
+};
+
+// JSON representation with dates presented in the viewer's timezone
+taskSchema.methods.toLocalJSON = function(timeZone = 'UTC') {
+    const json = this.toJSON();
+    const now = new Date();
+
+    json.timezone = timeZone;
+    json.dueDateLocal = this.dueDate ? formatInTimezone(this.dueDate, timeZone) : null;
+    json.isDueToday = !!this.dueDate && toLocalDateString(this.dueDate, timeZone) === toLocalDateString(now, timeZone);
+    return json;
 };
 
 taskSchema.methods.addTag = function(tag) {
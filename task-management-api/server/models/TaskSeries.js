@@ -0,0 +1,73 @@
+// TaskSeries model: the recurrence rule and shared fields behind a recurring task.
+// Each occurrence is an ordinary Task linked through task.recurrence.series.
+const mongoose = require('mongoose');
+const { isValidRule } = require('../utils/recurrence');
+
+// Task fields copied onto every new occurrence; editing "the whole series" changes these
+const TEMPLATE_FIELDS = ['title', 'description', 'priority', 'category', 'assignedTo', 'tags', 'estimatedHours'];
+
+const taskSeriesSchema = new mongoose.Schema({
+    rule: {
+        type: String,
+        required: [true, 'Recurrence rule is required'],
+        trim: true,
+        validate: {
+            validator: isValidRule,
+            message: 'Recurrence rule must be a valid RRULE with FREQ=DAILY, WEEKLY or MONTHLY'
+        }
+    },
+    // Due date of the first occurrence
+    startsAt: {
+        type: Date,
+        required: true
+    },
+    template: {
+        title: String,
+        description: String,
+        priority: String,
+        category: String,
+        assignedTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        tags: [String],
+        estimatedHours: Number
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Number of the most recently generated occurrence
+    lastOccurrence: {
+        type: Number,
+        default: 1
+    },
+    stoppedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+taskSeriesSchema.virtual('isActive').get(function() {
+    return !this.stoppedAt;
+});
+
+taskSeriesSchema.statics.TEMPLATE_FIELDS = TEMPLATE_FIELDS;
+
+// Pick the template fields out of a task or request body
+taskSeriesSchema.statics.pickTemplate = function(source) {
+    return TEMPLATE_FIELDS.reduce((template, field) => {
+        if (source[field] !== undefined) template[field] = source[field];
+        return template;
+    }, {});
+};
+
+taskSeriesSchema.methods.stop = function() {
+    this.stoppedAt = new Date();
+    return this.save();
+};
+
+module.exports = mongoose.model('TaskSeries', taskSeriesSchema);
@@ -0,0 +1,118 @@
+// TimeEntry model: time a user spent on a task, logged by hand or with a start/stop timer.
+// Task.actualHours is derived from these entries by syncTaskHours().
+const mongoose = require('mongoose');
+
+const MAX_ENTRY_HOURS = 24;
+
+const timeEntrySchema = new mongoose.Schema({
+    task: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Task',
+        required: [true, 'Task is required']
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'timer'],
+        default: 'manual'
+    },
+    startedAt: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    // Unset while a timer is running
+    endedAt: {
+        type: Date
+    },
+    // Set only while a timer is running; a partial unique index allows one per user
+    isRunning: {
+        type: Boolean
+    },
+    durationMinutes: {
+        type: Number,
+        min: [0, 'Duration cannot be negative']
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    billable: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+timeEntrySchema.virtual('hours').get(function() {
+    return this.durationMinutes === undefined ? null : Math.round((this.durationMinutes / 60) * 100) / 100;
+});
+
+timeEntrySchema.index({ task: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1, startedAt: -1 });
+timeEntrySchema.index({ user: 1 }, { unique: true, partialFilterExpression: { isRunning: true } });
+
+// Finished entries get their duration from the start and end times
+timeEntrySchema.pre('validate', function(next) {
+    if (this.endedAt) {
+        if (this.endedAt <= this.startedAt) {
+            this.invalidate('endedAt', 'End time must be after the start time');
+        } else if (this.endedAt - this.startedAt > MAX_ENTRY_HOURS * 60 * 60 * 1000) {
+            this.invalidate('endedAt', `A time entry cannot exceed ${MAX_ENTRY_HOURS} hours`);
+        }
+        this.isRunning = undefined;
+        this.durationMinutes = Math.round((this.endedAt - this.startedAt) / 60000);
+    } else {
+        this.isRunning = true;
+        this.durationMinutes = undefined;
+    }
+    next();
+});
+
+timeEntrySchema.statics.MAX_ENTRY_MS = MAX_ENTRY_HOURS * 60 * 60 * 1000;
+
+timeEntrySchema.methods.stop = function(at = new Date()) {
+    this.endedAt = at;
+    return this.save();
+};
+
+// Recompute Task.actualHours from the task's finished entries
+timeEntrySchema.statics.syncTaskHours = async function(taskId) {
+    const [result] = await this.aggregate([
+        { $match: { task: new mongoose.Types.ObjectId(taskId), endedAt: { $exists: true } } },
+        { $group: { _id: null, minutes: { $sum: '$durationMinutes' } } }
+    ]);
+    const actualHours = result ? Math.round((result.minutes / 60) * 100) / 100 : 0;
+    await mongoose.model('Task').updateOne({ _id: taskId }, { actualHours });
+    return actualHours;
+};
+
+// Entry count and minute totals for a filter, overall and billable only
+timeEntrySchema.statics.getTotals = async function(filter) {
+    const [result] = await this.aggregate([
+        { $match: filter },
+        {
+            $group: {
+                _id: null,
+                entries: { $sum: 1 },
+                minutes: { $sum: { $ifNull: ['$durationMinutes', 0] } },
+                billableMinutes: { $sum: { $cond: ['$billable', { $ifNull: ['$durationMinutes', 0] }, 0] } }
+            }
+        }
+    ]);
+    const toHours = (minutes) => Math.round((minutes / 60) * 100) / 100;
+    return {
+        entries: result ? result.entries : 0,
+        hours: toHours(result ? result.minutes : 0),
+        billableHours: toHours(result ? result.billableMinutes : 0)
+    };
+};
+
+module.exports = mongoose.model('TimeEntry', timeEntrySchema);
@@ -1,6 +1,14 @@
 // User model
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Session = require('./Session');
+const softDelete = require('./plugins/softDelete');
+const searchable = require('./plugins/searchable');
+const searchConfig = require('../config/search');
+const { generateRandomToken, hashToken } = require('../utils/tokens');
+const { verifyTotp } = require('../utils/totp');
+const { isValidTimezone } = require('../utils/timezone');
+const { paginate } = require('../utils/pagination');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -56,9 +64,74 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: true
     },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date
+    },
+    verificationSentAt: {
+        type: Date,
+        select: false
+    },
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: {
+            type: Date
+        },
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        recoveryCodes: {
+            type: [String], // SHA-256 hashes of unused codes
+            select: false
+        },
+        lastUsedStep: {
+            type: Number,
+            select: false
+        }
+    },
     lastLogin: {
         type: Date
     },
+    lastLoginIp: {
+        type: String
+    },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date
+    },
+    lastFailedLoginIp: {
+        type: String
+    },
+    lockUntil: {
+        type: Date
+    },
+    tokenVersion: {
+        type: Number,
+        default: 0,
+        select: false // Bumped to revoke every token issued to this user
+    },
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
     preferences: {
         theme: {
             type: String,
@@ -85,7 +158,11 @@ const userSchema = new mongoose.Schema({
         },
         timezone: {
             type: String,
-            default: 'UTC'
+            default: 'UTC',
+            validate: {
+                validator: isValidTimezone,
+                message: 'Timezone must be a valid IANA timezone such as Europe/Berlin'
+            }
         }
     }
 }, {
@@ -94,12 +171,24 @@ const userSchema = new mongoose.Schema({
         virtuals: true,
         transform: function(doc, ret) {
             delete ret.password;
+            delete ret.tokenVersion;
+            delete ret.passwordResetToken;
+            delete ret.passwordResetExpires;
+            delete ret.verificationSentAt;
+            if (ret.twoFactor) {
+                ret.twoFactor = { enabled: ret.twoFactor.enabled, enabledAt: ret.twoFactor.enabledAt };
+            }
             return ret;
         }
     },
     toObject: { virtuals: true }
 });
 
+// Deleted users go to the trash first; see plugins/softDelete
+userSchema.plugin(softDelete);
+// Name, email, department and position are searchable; see plugins/searchable
+userSchema.plugin(searchable, { weights: searchConfig.weights.user });
+
 // Virtual for full name display
 userSchema.virtual('displayName').get(function() {
     return this.name;
@@ -110,6 +199,11 @@ userSchema.virtual('initials').get(function() {
     return this.name.split(' ').map(n => n[0]).join('').toUpperCase();
 });
 
+// Virtual for temporary login lockout
+userSchema.virtual('isLocked').get(function() {
+    return !!(this.lockUntil && this.lockUntil > new Date());
+});
+
 // Virtual for task count
 userSchema.virtual('taskCount', {
     ref: 'Task',
@@ -133,6 +227,15 @@ userSchema.pre('save', async function(next) {
     }
 });
 
+// Pre-save middleware to reset verification when the email changes
+userSchema.pre('save', function(next) {
+    if (!this.isNew && this.isModified('email')) {
+        this.emailVerified = false;
+        this.emailVerifiedAt = undefined;
+    }
+    next();
+});
+
 // Pre-save middleware to update avatar if name changes
 userSchema.pre('save', function(next) {
     if (this.isModified('name') && !this.avatar.startsWith('http')) {
@@ -142,6 +245,23 @@ userSchema.pre('save', function(next) {
     next();
 });
 
+// Deactivating a user ends all of their sessions immediately
+userSchema.pre('save', function(next) {
+    this.$locals.wasDeactivated = !this.isNew && this.isModified('isActive') && !this.isActive;
+    next();
+});
+
+userSchema.post('save', async function(doc, next) {
+    try {
+        if (doc.$locals.wasDeactivated) {
+            await Session.revokeAllForUser(doc._id);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // Indexes
 userSchema.index({ email: 1 });
 userSchema.index({ department: 1 });
@@ -156,11 +276,129 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.getPublicProfile = function() {
     const userObject = this.toObject();
     delete userObject.password;
+    delete userObject.tokenVersion;
+    delete userObject.passwordResetToken;
+    delete userObject.passwordResetExpires;
+    delete userObject.verificationSentAt;
+    if (userObject.twoFactor) {
+        userObject.twoFactor = { enabled: userObject.twoFactor.enabled, enabledAt: userObject.twoFactor.enabledAt };
+    }
     return userObject;
 };
 
-userSchema.methods.updateLastLogin = function() {
+userSchema.methods.updateLastLogin = function(ip) {
     this.lastLogin = new Date();
+    this.lastLoginIp = ip;
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    return this.save();
+};
+
+// Seconds until the next login attempt is allowed, from a lockout or the backoff after recent failures
+userSchema.methods.getLoginRetryAfter = function({ backoffBaseSeconds }) {
+    const now = Date.now();
+
+    if (this.isLocked) {
+        return Math.ceil((this.lockUntil.getTime() - now) / 1000);
+    }
+
+    if (this.failedLoginAttempts > 0 && this.lastFailedLoginAt && !this.lockUntil) {
+        const delay = backoffBaseSeconds * 2 ** (this.failedLoginAttempts - 1) * 1000;
+        return Math.max(0, Math.ceil((this.lastFailedLoginAt.getTime() + delay - now) / 1000));
+    }
+
+    return 0;
+};
+
+// Record a failed login atomically so parallel attempts are all counted.
+// Reaching maxAttempts locks the account; the count starts over once a lock has expired.
+userSchema.methods.registerFailedLogin = async function(ip, { maxAttempts, lockMinutes }) {
+    const now = new Date();
+    const lockExpired = this.lockUntil && this.lockUntil <= now;
+    const update = lockExpired
+        ? { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now, lastFailedLoginIp: ip }, $unset: { lockUntil: 1 } }
+        : { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now, lastFailedLoginIp: ip } };
+
+    const updated = await this.constructor.findByIdAndUpdate(this._id, update, { new: true });
+
+    if (updated.failedLoginAttempts >= maxAttempts && !updated.isLocked) {
+        updated.lockUntil = new Date(now.getTime() + lockMinutes * 60 * 1000);
+        await this.constructor.updateOne({ _id: this._id }, { $set: { lockUntil: updated.lockUntil } });
+    }
+
+    return updated;
+};
+
+userSchema.methods.unlock = function() {
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    return this.save();
+};
+
+// Revoke every session and outstanding token for this user
+userSchema.methods.invalidateTokens = async function() {
+    this.tokenVersion = (this.tokenVersion || 0) + 1;
+    await Session.revokeAllForUser(this._id);
+    return this.save();
+};
+
+// Store a hashed, expiring reset token and return the raw value to send to the user
+userSchema.methods.createPasswordResetToken = function(expiresInMinutes) {
+    const token = generateRandomToken();
+    this.passwordResetToken = hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+    return token;
+};
+
+// Set a new password, consume the reset token and revoke existing sessions
+userSchema.methods.resetPassword = function(newPassword) {
+    this.password = newPassword;
+    this.passwordResetToken = undefined;
+    this.passwordResetExpires = undefined;
+    this.failedLoginAttempts = 0;
+    this.lockUntil = undefined;
+    return this.invalidateTokens();
+};
+
+// Check a TOTP code against the active secret, rejecting reuse of an already accepted code
+userSchema.methods.verifyTwoFactorCode = function(code) {
+    const step = verifyTotp(this.twoFactor.secret, code);
+    if (step === null || step <= (this.twoFactor.lastUsedStep || -1)) {
+        return false;
+    }
+    this.twoFactor.lastUsedStep = step;
+    return true;
+};
+
+// Consume a single-use recovery code
+userSchema.methods.useRecoveryCode = function(code) {
+    const hash = hashToken(String(code).trim().toLowerCase());
+    const index = this.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+        return false;
+    }
+    this.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+};
+
+// Replace the recovery codes and return the raw values to show the user once
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = generateRandomToken(5);
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    this.twoFactor.recoveryCodes = codes.map(hashToken);
+    return codes;
+};
+
+userSchema.methods.disableTwoFactor = function() {
+    this.twoFactor = { enabled: false };
+    return this.save();
+};
+
+userSchema.methods.markEmailVerified = function() {
+    this.emailVerified = true;
+    this.emailVerifiedAt = new Date();
     return this.save();
 };
 
@@ -174,6 +412,13 @@ userSchema.statics.findByEmail = function(email) {
     return this.findOne({ email: email.toLowerCase() });
 };
 
+userSchema.statics.findByPasswordResetToken = function(token) {
+    return this.findOne({
+        passwordResetToken: hashToken(token),
+        passwordResetExpires: { $gt: new Date() }
+    }).select('+password +tokenVersion');
+};
+
 userSchema.statics.findActiveUsers = function() {
     return this.find({ isActive: true }).select('-password');
 };
@@ -217,29 +462,43 @@ userSchema.statics.getUserStats = async function() {
     };
 };
 
-userSchema.statics.searchUsers = function(query, options = {}) {
-    const { limit = 10, skip = 0, role, department, isActive } = options;
+// Full-text search over name, email, department and position, best matches first (by name without
+// a query). Takes the options of utils/pagination and resolves to a page of it.
+userSchema.statics.searchUsers = async function(query, options = {}) {
+    const {
+        limit = 10,
+        page,
+        after,
+        before,
+        count,
+        role,
+        department,
+        isActive,
+        prepare = (users) => users.select('-password')
+    } = options;
     
     let searchQuery = {};
+    const sort = { field: 'name', order: 'asc' };
     
     if (query) {
-        searchQuery.$or = [
-            { name: { $regex: query, $options: 'i' } },
-            { email: { $regex: query, $options: 'i' } },
-            { department: { $regex: query, $options: 'i' } },
-            { position: { $regex: query, $options: 'i' } }
-        ];
+        // A query with no words matches nothing
+        Object.assign(searchQuery, (await this.buildSearchFilter(query)) || { _id: { $in: [] } });
+        sort.relevance = Boolean(searchQuery.$text);
     }
     
     if (role) searchQuery.role = role;
     if (department) searchQuery.department = department;
     if (isActive !== undefined) searchQuery.isActive = isActive;
     
-    return this.find(searchQuery)
-        .select('-password')
-        .limit(limit)
-        .skip(skip)
-        .sort({ name: 1 });
+    return paginate(this, searchQuery, {
+        sort,
+        limit,
+        page,
+        after,
+        before,
+        count,
+        prepare
+    });
 };
 
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
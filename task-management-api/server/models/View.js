@@ -0,0 +1,109 @@
+// Saved view model: a named task list, i.e. the filters and sort of GET /api/tasks and the
+// columns to show, either private to its owner or shared with the owner's department.
+const mongoose = require('mongoose');
+const viewConfig = require('../config/views');
+
+const sortFields = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'title', 'relevance'];
+
+// The filters of GET /api/tasks; q is a filter in the language of utils/taskFilter
+const filtersSchema = new mongoose.Schema({
+    q: String,
+    status: {
+        type: String,
+        enum: ['pending', 'in-progress', 'completed', 'cancelled']
+    },
+    state: String,
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    },
+    priority: {
+        type: String,
+        enum: ['low', 'medium', 'high', 'urgent']
+    },
+    category: {
+        type: String,
+        enum: ['work', 'personal', 'shopping', 'health', 'education', 'other']
+    },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    search: String,
+    overdue: Boolean,
+    dueToday: Boolean,
+    blocked: Boolean
+}, { _id: false });
+
+const viewSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'View name is required'],
+        trim: true,
+        maxlength: [100, 'View name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    visibility: {
+        type: String,
+        enum: {
+            values: ['private', 'department'],
+            message: 'Visibility must be private or department'
+        },
+        default: 'private'
+    },
+    // Department a shared view is visible to: its owner's, as of the last save
+    department: {
+        type: String
+    },
+    filters: {
+        type: filtersSchema,
+        default: () => ({})
+    },
+    sort: {
+        // Unset sorts like GET /api/tasks: best match first when searching, newest first otherwise
+        by: {
+            type: String,
+            enum: sortFields
+        },
+        order: {
+            type: String,
+            enum: ['asc', 'desc'],
+            default: 'desc'
+        }
+    },
+    columns: {
+        type: [{
+            type: String,
+            enum: {
+                values: viewConfig.columns,
+                message: `Columns must be among ${viewConfig.columns.join(', ')}`
+            }
+        }],
+        default: () => [...viewConfig.defaultColumns]
+    }
+}, {
+    timestamps: true
+});
+
+viewSchema.index({ owner: 1, name: 1 }, { unique: true });
+viewSchema.index({ visibility: 1, department: 1 });
+
+// Filter for the views a user can see: their own and those shared with their department
+viewSchema.statics.visibleTo = function(user) {
+    const conditions = [{ owner: user._id }];
+    if (user.department) {
+        conditions.push({ visibility: 'department', department: user.department });
+    }
+    return { $or: conditions };
+};
+
+module.exports = mongoose.model('View', viewSchema);
@@ -0,0 +1,126 @@
+// Workflow model: custom task states and the transitions allowed between them.
+// Projects pick a workflow; see config/workflows for the default one and services/workflows
+// for how transitions are checked.
+const mongoose = require('mongoose');
+const { statuses, guardFields } = require('../config/workflows');
+
+const stateSchema = new mongoose.Schema({
+    // Stored on tasks, so it cannot be renamed once tasks use it
+    key: {
+        type: String,
+        required: [true, 'State key is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9][a-z0-9_-]*$/, 'State key may only contain lowercase letters, digits, - and _'],
+        maxlength: [50, 'State key cannot exceed 50 characters']
+    },
+    name: {
+        type: String,
+        required: [true, 'State name is required'],
+        trim: true,
+        maxlength: [50, 'State name cannot exceed 50 characters']
+    },
+    // Built-in status the state counts as
+    status: {
+        type: String,
+        enum: {
+            values: statuses,
+            message: `Status must be ${statuses.join(', ')}`
+        },
+        required: [true, 'State status is required']
+    }
+}, { _id: false });
+
+const guardSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: {
+            values: ['requireReason', 'requireField', 'requireRole'],
+            message: 'Guard type must be requireReason, requireField, or requireRole'
+        },
+        required: true
+    },
+    // requireField: the task field that must be set
+    field: {
+        type: String,
+        enum: {
+            values: guardFields,
+            message: `Guard field must be ${guardFields.join(', ')}`
+        }
+    },
+    // requireRole: roles allowed to make the transition
+    roles: [{
+        type: String,
+        enum: ['user', 'admin', 'manager']
+    }]
+}, { _id: false });
+
+const transitionSchema = new mongoose.Schema({
+    // States the transition starts from; empty means any state
+    from: [String],
+    to: {
+        type: String,
+        required: [true, 'Transition target is required']
+    },
+    guards: [guardSchema]
+}, { _id: false });
+
+const workflowSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Workflow name is required'],
+        trim: true,
+        unique: true,
+        maxlength: [100, 'Workflow name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    initialState: {
+        type: String,
+        required: [true, 'Initial state is required']
+    },
+    states: {
+        type: [stateSchema],
+        validate: {
+            validator: (states) => states.length > 0,
+            message: 'A workflow needs at least one state'
+        }
+    },
+    transitions: [transitionSchema],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// States, the initial state and transitions must fit together
+workflowSchema.pre('validate', function(next) {
+    const keys = this.states.map(state => state.key);
+    if (new Set(keys).size !== keys.length) {
+        this.invalidate('states', 'State keys must be unique');
+    }
+    if (this.initialState && !keys.includes(this.initialState)) {
+        this.invalidate('initialState', 'Initial state must be one of the workflow states');
+    }
+    this.transitions.forEach((transition, index) => {
+        const unknown = [...transition.from, transition.to].filter(key => !keys.includes(key));
+        if (unknown.length) {
+            this.invalidate(`transitions.${index}`, `Unknown states in transition: ${unknown.join(', ')}`);
+        }
+        transition.guards.forEach(guard => {
+            if (guard.type === 'requireField' && !guard.field) {
+                this.invalidate(`transitions.${index}`, 'A requireField guard needs a field');
+            }
+            if (guard.type === 'requireRole' && !guard.roles.length) {
+                this.invalidate(`transitions.${index}`, 'A requireRole guard needs roles');
+            }
+        });
+    });
+    next();
+});
+
+module.exports = mongoose.model('Workflow', workflowSchema);
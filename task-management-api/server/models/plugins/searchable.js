@@ -0,0 +1,124 @@
+// Full-text search for a schema: a weighted text index over some fields, plus the words of
+// those fields in searchTokens so prefix* terms can be expanded to words the index knows.
+//
+// searchTokens is kept up to date on save and on updates that set one of the fields. Records
+// written before the plugin was added get theirs from refreshSearchTokens().
+const { tokenize, escapeRegex, parseSearchQuery, buildTextSearch } = require('../../utils/search');
+const searchConfig = require('../../config/search');
+
+const updateOperations = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+// Top-level paths an update writes, whether set directly or through an operator
+const getUpdatedPaths = (update) => Object.entries(update || {})
+    .flatMap(([key, value]) => (key.startsWith('$') ? Object.keys(value || {}) : [key]))
+    .map(path => path.split('.')[0]);
+
+const searchable = (schema, { weights }) => {
+    const fields = Object.keys(weights);
+
+    schema.add({
+        searchTokens: {
+            type: [String],
+            select: false
+        }
+    });
+    schema.index({ searchTokens: 1 });
+    schema.index(
+        Object.fromEntries(fields.map(field => [field, 'text'])),
+        { name: 'search', weights, default_language: 'english' }
+    );
+
+    // The tokens only serve the index, so they are left out of responses
+    const toJSON = schema.get('toJSON') || {};
+    schema.set('toJSON', {
+        ...toJSON,
+        transform(doc, ret, options) {
+            delete ret.searchTokens;
+            return toJSON.transform ? toJSON.transform(doc, ret, options) : ret;
+        }
+    });
+
+    const getTokens = (doc) => tokenize(fields.map(field => doc[field]));
+
+    // Trashed records keep their tokens, so they are searchable again once restored
+    const withDeleted = (query) => (schema.path('deletedAt') ? query.setOptions({ withDeleted: true }) : query);
+
+    // A loaded record may lack fields that are not selected by default, so changed records are
+    // refreshed from the database once saved
+    schema.pre('save', function(next) {
+        if (this.isNew) {
+            this.searchTokens = getTokens(this);
+        } else if (fields.some(field => this.isModified(field))) {
+            this.$locals.refreshSearchTokens = true;
+        }
+        next();
+    });
+
+    schema.post('save', async function() {
+        if (this.$locals.refreshSearchTokens) {
+            delete this.$locals.refreshSearchTokens;
+            await this.constructor.refreshSearchTokens({ _id: this._id });
+        }
+    });
+
+    // Note which records an update of a searchable field touches, to refresh them afterwards
+    schema.pre(updateOperations, async function() {
+        if (!getUpdatedPaths(this.getUpdate()).some(path => fields.includes(path))) {
+            return;
+        }
+        this._searchableIds = await withDeleted(this.model.find(this.getFilter())).distinct('_id');
+    });
+
+    schema.post(updateOperations, async function() {
+        if (this._searchableIds && this._searchableIds.length) {
+            await this.model.refreshSearchTokens({ _id: { $in: this._searchableIds } });
+        }
+    });
+
+    // Recompute the tokens of the records matching a filter, e.g. { searchTokens: { $exists: false } }
+    schema.statics.refreshSearchTokens = async function(filter = {}) {
+        const cursor = withDeleted(this.find(filter).select(fields.map(field => `+${field}`).join(' '))).cursor();
+        let batch = [];
+        let count = 0;
+        const flush = async () => {
+            if (batch.length) {
+                await this.bulkWrite(batch);
+                count += batch.length;
+                batch = [];
+            }
+        };
+
+        for (let doc = await cursor.next(); doc; doc = await cursor.next()) {
+            batch.push({ updateOne: { filter: { _id: doc._id }, update: { $set: { searchTokens: getTokens(doc) } } } });
+            if (batch.length === 500) {
+                await flush();
+            }
+        }
+        await flush();
+        return count;
+    };
+
+    // Indexed words starting with a prefix, most common first
+    schema.statics.expandPrefix = async function(prefix) {
+        const pattern = new RegExp(`^${escapeRegex(prefix)}`);
+        const results = await this.aggregate([
+            { $match: { searchTokens: pattern } },
+            { $unwind: '$searchTokens' },
+            { $match: { searchTokens: pattern } },
+            { $group: { _id: '$searchTokens', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: searchConfig.maxPrefixExpansions }
+        ]);
+        return results.map(result => result._id);
+    };
+
+    // $text filter for a search query, or null when the query leaves nothing to look for
+    schema.statics.buildSearchFilter = async function(query) {
+        const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+        const expansions = await Promise.all(parsed.prefixes.map(prefix => this.expandPrefix(prefix)));
+        const search = buildTextSearch(parsed, expansions.flat());
+        return search ? { $text: { $search: search } } : null;
+    };
+};
+
+module.exports = searchable;
@@ -0,0 +1,77 @@
+// Soft deletion for a schema: trashed records keep their data but are hidden from queries.
+//
+// Every find, count, distinct, update and aggregate excludes trashed records unless its filter
+// names deletedAt itself, or the query is run with setOptions({ withDeleted: true }).
+// Records trashed because another record was (a user's tasks, a task's subtasks) point
+// at it through deletedWith, so they can be restored together.
+const mongoose = require('mongoose');
+
+const queryOperations = ['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne', 'updateMany'];
+
+function excludeTrashed() {
+    const { withDeleted } = this.getOptions();
+    if (withDeleted) {
+        delete this.options.withDeleted;
+        return;
+    }
+    if (!('deletedAt' in this.getFilter())) {
+        this.where({ deletedAt: null });
+    }
+}
+
+// Stages such as $text must stay first, so the condition joins a leading $match when there is one
+function excludeTrashedFromAggregate() {
+    const pipeline = this.pipeline();
+    const first = pipeline[0];
+    if (first && first.$match) {
+        if (!('deletedAt' in first.$match)) {
+            first.$match.deletedAt = null;
+        }
+    } else {
+        pipeline.unshift({ $match: { deletedAt: null } });
+    }
+}
+
+const softDelete = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            index: true
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // The record whose deletion took this one along; unset for records trashed directly
+        deletedWith: {
+            type: mongoose.Schema.Types.ObjectId,
+            index: { sparse: true }
+        }
+    });
+
+    queryOperations.forEach(operation => schema.pre(operation, excludeTrashed));
+    schema.pre('aggregate', excludeTrashedFromAggregate);
+
+    // Trash the records matching a filter; pass the root record when they go because of it
+    schema.statics.trashMany = function(filter, { actor, root, at = new Date() }) {
+        return this.updateMany(filter, {
+            deletedAt: at,
+            deletedBy: actor,
+            ...(root && { deletedWith: root })
+        });
+    };
+
+    // Restore trashed records matching a filter
+    schema.statics.restoreMany = function(filter) {
+        return this.updateMany(
+            { ...filter, deletedAt: { $ne: null } },
+            { $unset: { deletedAt: 1, deletedBy: 1, deletedWith: 1 } }
+        );
+    };
+
+    schema.virtual('isTrashed').get(function() {
+        return !!this.deletedAt;
+    });
+};
+
+module.exports = softDelete;
@@ -0,0 +1,32 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { buildActivityFilter, buildActivityScope, findActivity } = require('../services/activity');
+const { activityValidationRules, handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+// @route   GET /api/activity
+// @desc    Feed of changes across tasks and projects, newest first, filterable by
+//          resourceType, resource, actor, action, field and a from/to date range
+// @access  Private (own tasks and projects; department for managers; all for admins)
+router.get('/', authenticate, activityValidationRules.query, handleValidationErrors, async (req, res) => {
+    try {
+        const filter = {
+            $and: [buildActivityFilter(req.query), await buildActivityScope(req.user, req.apiKey)]
+        };
+        const { activities, pagination } = await findActivity(filter, req.query);
+
+        res.json({
+            success: true,
+            data: activities,
+            pagination
+        });
+    } catch (error) {
+        console.error('Error fetching activity:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching activity'
+        });
+    }
+});
+
+module.exports = router;
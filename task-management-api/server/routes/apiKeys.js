@@ -0,0 +1,98 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { authenticate, requireUserSession } = require('../middleware/auth');
+const { generateApiKey, hashToken } = require('../utils/tokens');
+const { apiKeyValidationRules, handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+// Keys can only be managed from a logged-in session, never with another key
+router.use(authenticate, requireUserSession);
+
+// @route   GET /api/users/me/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: apiKeys,
+            count: apiKeys.length
+        });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching API keys'
+        });
+    }
+});
+
+// @route   POST /api/users/me/api-keys
+// @desc    Create a scoped API key; the key itself is only returned once
+// @access  Private
+router.post('/', apiKeyValidationRules.create, handleValidationErrors, async (req, res) => {
+    try {
+        const { name, scopes, expiresAt } = req.body;
+        const { key, prefix } = generateApiKey();
+
+        const apiKey = await ApiKey.create({
+            name,
+            user: req.user._id,
+            prefix,
+            keyHash: hashToken(key),
+            scopes: [...new Set(scopes)],
+            expiresAt
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...apiKey.toJSON(),
+                key
+            },
+            message: 'API key created. Store it now, it will not be shown again'
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating API key'
+        });
+    }
+});
+
+// @route   DELETE /api/users/me/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', apiKeyValidationRules.revoke, handleValidationErrors, async (req, res) => {
+    try {
+        const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!apiKey) {
+            return res.status(404).json({
+                success: false,
+                message: 'API key not found'
+            });
+        }
+
+        if (!apiKey.revokedAt) {
+            await apiKey.revoke();
+        }
+
+        res.json({
+            success: true,
+            data: apiKey,
+            message: 'API key revoked successfully'
+        });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking API key'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const express = require('express');
+const Task = require('../models/Task');
+const { authenticate, requireVerifiedEmail } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { uploadAttachment } = require('../middleware/upload');
+const { storeFile, openFile, hashContent } = require('../services/storage');
+const { releaseFiles } = require('../services/attachments');
+const { recordActivity } = require('../services/activity');
+const { attachmentValidationRules, handleValidationErrors } = require('../middleware/validation');
+// Mounted under /api/tasks/:id/attachments, so :id is the task
+const router = express.Router({ mergeParams: true });
+
+const loadTask = (req) => Task.findById(req.params.id);
+
+// Attachments are saved without revalidating the rest of the task, e.g. a due date now in the past
+const saveAttachments = (task) => task.save({ validateModifiedOnly: true });
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload a file as multipart/form-data in the "file" field
+// @access  Private (anyone who can update the task)
+router.post('/', authenticate, requireVerifiedEmail('tasks'), attachmentValidationRules.upload, handleValidationErrors, authorize('tasks', 'update', loadTask), uploadAttachment, async (req, res) => {
+    try {
+        const task = req.resource;
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        const { buffer, originalname, mimetype, size } = req.file;
+
+        // The same content attached twice to one task is kept once
+        const existing = task.attachments.find(attachment => attachment.hash === hashContent(buffer));
+        if (existing) {
+            return res.json({
+                success: true,
+                data: existing,
+                message: 'File is already attached to this task'
+            });
+        }
+
+        const before = task.toObject();
+        const hash = await storeFile(buffer);
+        const attachment = task.attachments.create({
+            filename: originalname,
+            mimeType: mimetype,
+            size,
+            hash,
+            uploadedBy: req.user._id
+        });
+        attachment.url = `/api/tasks/${task._id}/attachments/${attachment._id}`;
+        task.attachments.push(attachment);
+
+        try {
+            await saveAttachments(task);
+        } catch (error) {
+            await releaseFiles([hash]);
+            throw error;
+        }
+        // A delete elsewhere may have found the file unused and removed it while this upload
+        // reused it; now that the attachment refers to it, store it again if it is gone
+        await storeFile(buffer);
+        await recordActivity({ resourceType: 'task', action: 'update', actor: req.user._id, before, after: task });
+
+        res.status(201).json({
+            success: true,
+            data: attachment,
+            message: 'File uploaded successfully'
+        });
+    } catch (error) {
+        console.error('Error uploading attachment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while uploading attachment'
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id/attachments/:attachmentId
+// @desc    Download an attachment
+// @access  Private
+router.get('/:attachmentId', authenticate, attachmentValidationRules.item, handleValidationErrors, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        const attachment = task && task.attachments.id(req.params.attachmentId);
+        if (!attachment || !attachment.hash) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        let stream;
+        try {
+            stream = await openFile(attachment.hash);
+        } catch (error) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment file is missing from storage'
+            });
+        }
+
+        res.attachment(attachment.filename);
+        res.set({
+            'Content-Type': attachment.mimeType || 'application/octet-stream',
+            'Content-Length': String(attachment.size),
+            'X-Content-Type-Options': 'nosniff'
+        });
+        stream.on('error', (error) => {
+            console.error('Error streaming attachment:', error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error downloading attachment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while downloading attachment'
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Remove an attachment; the stored file goes once nothing else refers to it
+// @access  Private (anyone who can update the task)
+router.delete('/:attachmentId', authenticate, attachmentValidationRules.item, handleValidationErrors, authorize('tasks', 'update', loadTask), async (req, res) => {
+    try {
+        const task = req.resource;
+        const attachment = task && task.attachments.id(req.params.attachmentId);
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attachment not found'
+            });
+        }
+
+        const before = task.toObject();
+        attachment.deleteOne();
+        await saveAttachments(task);
+        await releaseFiles([attachment.hash]);
+        await recordActivity({ resourceType: 'task', action: 'update', actor: req.user._id, before, after: task });
+
+        res.json({
+            success: true,
+            message: 'Attachment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting attachment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting attachment'
+        });
+    }
+});
+
+module.exports = router;
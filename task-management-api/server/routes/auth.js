@@ -0,0 +1,431 @@
+const express = require('express');
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const { sendTemplate, buildAppLink } = require('../services/mail');
+const Session = require('../models/Session');
+const { sendVerificationEmail, getResendCooldown } = require('../services/verification');
+const { startSession, rotateSession } = require('../services/sessions');
+const { authenticateForTwoFactorSetup, requireUserSession } = require('../middleware/auth');
+const {
+    verifyRefreshToken,
+    verifyEmailVerificationToken,
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken
+} = require('../utils/tokens');
+const {
+    userValidationRules,
+    authValidationRules,
+    twoFactorValidationRules,
+    handleValidationErrors
+} = require('../middleware/validation');
+const router = express.Router();
+
+// Refuse login attempts during a lockout or backoff window
+const sendLoginThrottled = (res, user, retryAfter) => {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(user.isLocked ? 423 : 429).json({
+        success: false,
+        message: user.isLocked
+            ? `Account is temporarily locked. Try again in ${retryAfter} seconds`
+            : `Too many failed login attempts. Try again in ${retryAfter} seconds`
+    });
+};
+
+// Finish a successful login by recording it and opening a session
+const completeLogin = async (req, res, user) => {
+    await user.updateLastLogin(req.ip);
+
+    res.json({
+        success: true,
+        data: {
+            user: user.getPublicProfile(),
+            ...(await startSession(user, req))
+        },
+        message: 'Login successful'
+    });
+};
+
+// @route   POST /api/auth/register
+// @desc    Register a new account and issue tokens
+// @access  Public
+router.post('/register', userValidationRules.create, handleValidationErrors, async (req, res) => {
+    try {
+        const { name, email, password, department, position, phone } = req.body;
+
+        // Accounts in the trash keep their email until they are purged
+        const existingUser = await User.findByEmail(email).setOptions({ withDeleted: true });
+        if (existingUser) {
+            return res.status(409).json({
+                success: false,
+                message: 'Email is already registered'
+            });
+        }
+
+        // Self-registered accounts always start with the default role
+        const user = new User({ name, email, password, department, position, phone });
+        await user.save();
+
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('Error sending verification email:', error);
+        }
+
+        // When login requires a verified email there is nothing to sign in with yet
+        if (authConfig.emailVerificationRequiredFor.includes('login')) {
+            return res.status(201).json({
+                success: true,
+                data: { user: user.getPublicProfile() },
+                message: 'Registration successful. Please verify your email before logging in'
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                user: user.getPublicProfile(),
+                ...(await startSession(user, req))
+            },
+            message: 'Registration successful'
+        });
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while registering user'
+        });
+    }
+});
+
+// @route   POST /api/auth/login
+// @desc    Authenticate with email and password
+// @access  Public
+router.post('/login', userValidationRules.login, handleValidationErrors, async (req, res) => {
+    try {
+        const { email, password } = req.body;
+
+        const user = await User.findByEmail(email).select('+password +tokenVersion');
+        if (!user) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        // Refuse attempts during a lockout or backoff window without checking the password
+        const retryAfter = user.getLoginRetryAfter(authConfig.loginThrottle);
+        if (retryAfter > 0) {
+            return sendLoginThrottled(res, user, retryAfter);
+        }
+
+        if (!(await user.comparePassword(password))) {
+            await user.registerFailedLogin(req.ip, authConfig.loginThrottle);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid email or password'
+            });
+        }
+
+        if (!user.isActive) {
+            return res.status(403).json({
+                success: false,
+                message: 'Account is deactivated'
+            });
+        }
+
+        if (authConfig.emailVerificationRequiredFor.includes('login') && !user.emailVerified) {
+            return res.status(403).json({
+                success: false,
+                message: 'Email address has not been verified'
+            });
+        }
+
+        // Accounts with two-factor enabled finish logging in through /login/2fa
+        if (user.twoFactor.enabled) {
+            return res.json({
+                success: true,
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: generateTwoFactorChallengeToken(user)
+                },
+                message: 'Two-factor code required'
+            });
+        }
+
+        await completeLogin(req, res, user);
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while logging in'
+        });
+    }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', twoFactorValidationRules.login, handleValidationErrors, async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        let payload;
+        try {
+            payload = verifyTwoFactorChallengeToken(challengeToken);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge is invalid or has expired'
+            });
+        }
+
+        const user = await User.findById(payload.sub)
+            .select('+tokenVersion +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+        if (!user || !user.isActive || !user.twoFactor.enabled || user.tokenVersion !== payload.tokenVersion) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge is invalid or has expired'
+            });
+        }
+
+        const retryAfter = user.getLoginRetryAfter(authConfig.loginThrottle);
+        if (retryAfter > 0) {
+            return sendLoginThrottled(res, user, retryAfter);
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const verified = code ? user.verifyTwoFactorCode(code) : user.useRecoveryCode(recoveryCode);
+        if (!verified) {
+            await user.registerFailedLogin(req.ip, authConfig.loginThrottle);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid two-factor code'
+            });
+        }
+
+        await completeLogin(req, res, user);
+    } catch (error) {
+        console.error('Error completing two-factor login:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while logging in'
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public
+router.post('/refresh', authValidationRules.refresh, handleValidationErrors, async (req, res) => {
+    try {
+        let payload;
+        try {
+            payload = verifyRefreshToken(req.body.refreshToken);
+        } catch (error) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        const [session, user] = await Promise.all([
+            Session.findById(payload.sid).select('+refreshTokenHash'),
+            User.findById(payload.sub).select('+tokenVersion')
+        ]);
+        const tokens = session && session.isActive && session.user.equals(payload.sub)
+            && user && user.isActive && user.tokenVersion === payload.tokenVersion
+            ? await rotateSession(session, user, req.body.refreshToken, req)
+            : null;
+
+        if (!tokens) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: tokens
+        });
+    } catch (error) {
+        console.error('Error refreshing token:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while refreshing token'
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', authenticateForTwoFactorSetup, requireUserSession, async (req, res) => {
+    try {
+        await req.authSession.revoke();
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while logging out'
+        });
+    }
+});
+
+// @route   GET /api/auth/verify-email
+// @desc    Confirm an email address from a verification link
+// @access  Public
+router.get('/verify-email', authValidationRules.verifyEmail, handleValidationErrors, async (req, res) => {
+    try {
+        let payload;
+        try {
+            payload = verifyEmailVerificationToken(req.query.token);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+
+        // The token is bound to the address it was sent to
+        const user = await User.findById(payload.sub);
+        if (!user || user.email !== payload.email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Verification link is invalid or has expired'
+            });
+        }
+
+        if (!user.emailVerified) {
+            await user.markEmailVerified();
+        }
+
+        res.json({
+            success: true,
+            message: 'Email address verified successfully'
+        });
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while verifying email'
+        });
+    }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification link, at most once per cooldown window
+// @access  Public
+router.post('/resend-verification', authValidationRules.resendVerification, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findByEmail(req.body.email).select('+verificationSentAt');
+
+        if (user && user.isActive && !user.emailVerified) {
+            const retryAfter = getResendCooldown(user);
+            if (retryAfter > 0) {
+                res.set('Retry-After', String(retryAfter));
+                return res.status(429).json({
+                    success: false,
+                    message: `Please wait ${retryAfter} seconds before requesting another verification email`
+                });
+            }
+
+            await sendVerificationEmail(user);
+        }
+
+        res.json({
+            success: true,
+            message: 'If that account needs verification, a new link has been sent'
+        });
+    } catch (error) {
+        console.error('Error resending verification email:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resending verification email'
+        });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', authValidationRules.forgotPassword, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findByEmail(req.body.email);
+
+        // Only active accounts get a link, but the response never reveals whether the email exists
+        if (user && user.isActive) {
+            const expiresInMinutes = authConfig.passwordResetExpiresMinutes;
+            const token = user.createPasswordResetToken(expiresInMinutes);
+            await user.save();
+
+            try {
+                await sendTemplate('passwordReset', user.email, {
+                    user,
+                    link: buildAppLink('/reset-password', { token }),
+                    expiresInMinutes
+                });
+            } catch (error) {
+                console.error('Error sending password reset email:', error);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If that email is registered, a password reset link has been sent'
+        });
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while requesting password reset'
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', authValidationRules.resetPassword, handleValidationErrors, async (req, res) => {
+    try {
+        const { token, password } = req.body;
+
+        const user = await User.findByPasswordResetToken(token);
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset token is invalid or has expired'
+            });
+        }
+
+        await user.resetPassword(password);
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password'
+        });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while resetting password'
+        });
+    }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get the authenticated user's profile
+// @access  Private
+router.get('/me', authenticateForTwoFactorSetup, (req, res) => {
+    res.json({
+        success: true,
+        data: req.user.getPublicProfile()
+    });
+});
+
+module.exports = router;
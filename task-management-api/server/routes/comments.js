@@ -0,0 +1,166 @@
+const express = require('express');
+const Comment = require('../models/Comment');
+const Task = require('../models/Task');
+const { authenticate, optionalAuthenticate, requireVerifiedEmail } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { resolveMentions } = require('../services/mentions');
+const { commentValidationRules, handleValidationErrors } = require('../middleware/validation');
+// Mounted under /api/tasks/:id/comments, so :id is the task
+const router = express.Router({ mergeParams: true });
+
+// Load the comment addressed by :commentId on the task addressed by :id
+const loadComment = (req) => Comment.findOne({ _id: req.params.commentId, task: req.params.id });
+
+const populateComment = (comment) => comment.populate([
+    { path: 'author', select: 'name email' },
+    { path: 'mentions', select: 'name email' }
+]);
+
+// @route   GET /api/tasks/:id/comments
+// @desc    Get a task's comments as threads of top-level comments and their replies
+// @access  Public
+router.get('/', optionalAuthenticate, commentValidationRules.list, handleValidationErrors, async (req, res) => {
+    try {
+        if (!(await Task.exists({ _id: req.params.id }))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        const { threads, count } = await Comment.getThreads(req.params.id);
+
+        res.json({
+            success: true,
+            data: threads,
+            count
+        });
+    } catch (error) {
+        console.error('Error fetching comments:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching comments'
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/comments
+// @desc    Comment on a task, or reply to a top-level comment with `parent`
+// @access  Private
+router.post('/', authenticate, requireVerifiedEmail('tasks'), commentValidationRules.create, handleValidationErrors, authorize('comments', 'create'), async (req, res) => {
+    try {
+        const { body, parent } = req.body;
+
+        if (!(await Task.exists({ _id: req.params.id }))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+
+        if (parent) {
+            const parentComment = await Comment.findOne({ _id: parent, task: req.params.id });
+            if (!parentComment) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Parent comment not found on this task'
+                });
+            }
+            if (parentComment.parent) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Replies can only be made to top-level comments'
+                });
+            }
+        }
+
+        const comment = await Comment.create({
+            task: req.params.id,
+            author: req.user._id,
+            parent,
+            body,
+            mentions: await resolveMentions(body)
+        });
+        await Comment.syncTaskCommentText(comment.task);
+        await populateComment(comment);
+
+        res.status(201).json({
+            success: true,
+            data: comment,
+            message: 'Comment added successfully'
+        });
+    } catch (error) {
+        console.error('Error creating comment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating comment'
+        });
+    }
+});
+
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @desc    Edit a comment; the previous body is kept in its edit history
+// @access  Private (author, manager or admin)
+router.put('/:commentId', authenticate, commentValidationRules.update, handleValidationErrors, authorize('comments', 'update', loadComment), async (req, res) => {
+    try {
+        const comment = req.resource;
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        const { body } = req.body;
+        if (body !== comment.body) {
+            await comment.edit(body, await resolveMentions(body));
+            await Comment.syncTaskCommentText(comment.task);
+        }
+        await populateComment(comment);
+
+        res.json({
+            success: true,
+            data: comment,
+            message: 'Comment updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating comment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating comment'
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @desc    Delete a comment together with its replies
+// @access  Private (author, manager or admin)
+router.delete('/:commentId', authenticate, commentValidationRules.remove, handleValidationErrors, authorize('comments', 'delete', loadComment), async (req, res) => {
+    try {
+        const comment = req.resource;
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        const { deletedCount: repliesDeleted } = await Comment.deleteMany({ parent: comment._id });
+        await comment.deleteOne();
+        await Comment.syncTaskCommentText(comment.task);
+
+        res.json({
+            success: true,
+            data: { repliesDeleted },
+            message: 'Comment deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting comment'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { authenticate, requireUserSession } = require('../middleware/auth');
+const { preferenceValidationRules, handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+router.use(authenticate, requireUserSession);
+
+// Preference paths that can be changed, relative to user.preferences
+const preferencePaths = [
+    'theme',
+    'timezone',
+    'notifications.email',
+    'notifications.push',
+    'notifications.taskAssigned',
+    'notifications.taskDue'
+];
+
+const getPath = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+// @route   GET /api/users/me/preferences
+// @desc    Get the current user's preferences
+// @access  Private
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        data: req.user.preferences
+    });
+});
+
+// @route   PATCH /api/users/me/preferences
+// @desc    Partially update the current user's preferences
+// @access  Private
+router.patch('/', preferenceValidationRules.update, handleValidationErrors, async (req, res) => {
+    try {
+        // Only the supplied paths change; everything else keeps its current value
+        preferencePaths.forEach(path => {
+            const value = getPath(req.body, path);
+            if (value !== undefined) {
+                req.user.set(`preferences.${path}`, value);
+            }
+        });
+
+        await req.user.save();
+
+        res.json({
+            success: true,
+            data: req.user.preferences,
+            message: 'Preferences updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating preferences:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating preferences'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { can, hasScope, sendForbidden } = require('../middleware/authorize');
+const { search, searchTypes } = require('../services/search');
+const { searchValidationRules, handleValidationErrors } = require('../middleware/validation');
+const searchConfig = require('../config/search');
+const router = express.Router();
+
+// Permission resource behind each search type, which also names its group in the response
+const typeResources = {
+    task: 'tasks',
+    project: 'projects',
+    user: 'users'
+};
+
+// Anyone may read tasks and projects, users only the roles allowed to list them. API keys also need the read scope.
+const canSearch = async (req, type) => {
+    const resource = typeResources[type];
+    if (type === 'user' && !(await can(req.user, resource, 'read'))) {
+        return false;
+    }
+    return !req.apiKey || hasScope(req.apiKey, resource, 'read');
+};
+
+// @route   GET /api/search
+// @desc    Search tasks (title, description, tags and comments), projects and users, grouped by
+//          type and best match first, with highlighted snippets. Supports "phrases", prefix* and -exclusions.
+// @access  Private
+router.get('/', authenticate, searchValidationRules.query, handleValidationErrors, async (req, res) => {
+    try {
+        const { q, types, limit = searchConfig.defaultLimit } = req.query;
+
+        const requested = types || Object.keys(searchTypes);
+        const allowed = [];
+        for (const type of requested) {
+            if (await canSearch(req, type)) {
+                allowed.push(type);
+            } else if (types) {
+                return sendForbidden(res, typeResources[type], 'read');
+            }
+        }
+
+        const results = await search(q, { types: allowed, limit: parseInt(limit) });
+
+        res.json({
+            success: true,
+            data: Object.fromEntries(allowed.map(type => [typeResources[type], results[type]])),
+            counts: Object.fromEntries(allowed.map(type => [typeResources[type], results[type].length]))
+        });
+    } catch (error) {
+        console.error('Error searching:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while searching'
+        });
+    }
+});
+
+module.exports = router;
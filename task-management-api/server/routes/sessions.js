@@ -0,0 +1,84 @@
+const express = require('express');
+const Session = require('../models/Session');
+const { authenticate, requireUserSession } = require('../middleware/auth');
+const { generalValidationRules, handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+// Sessions can only be managed from a logged-in session, never with an API key
+router.use(authenticate, requireUserSession);
+
+// @route   GET /api/users/me/sessions
+// @desc    List the current user's active sessions and devices
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const sessions = await Session.findActiveForUser(req.user._id);
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                ...session.toJSON(),
+                current: session._id.equals(req.authSession._id)
+            })),
+            count: sessions.length
+        });
+    } catch (error) {
+        console.error('Error fetching sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/users/me/sessions
+// @desc    Log out everywhere by revoking every session, including this one
+// @access  Private
+router.delete('/', async (req, res) => {
+    try {
+        const result = await Session.revokeAllForUser(req.user._id);
+
+        res.json({
+            success: true,
+            data: { revoked: result.modifiedCount },
+            message: 'Logged out of all sessions'
+        });
+    } catch (error) {
+        console.error('Error revoking sessions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/users/me/sessions/:id
+// @desc    Revoke a single session
+// @access  Private
+router.delete('/:id', generalValidationRules.mongoId, handleValidationErrors, async (req, res) => {
+    try {
+        const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await session.revoke();
+
+        res.json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Error revoking session:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while revoking session'
+        });
+    }
+});
+
+module.exports = router;
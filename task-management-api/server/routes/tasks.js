@@ -1,94 +1,479 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
 const Task = require('../models/Task');
 const User = require('../models/User');
-const { taskValidationRules, handleValidationErrors } = require('../middleware/validation');
+const TaskSeries = require('../models/TaskSeries');
+const Project = require('../models/Project');
+const { recordActivity, recordActivities, findActivity, diffRecords } = require('../services/activity');
+const { buildEntryFilter, listEntries } = require('../services/timeEntries');
+const { getPurgeDate, findTrashed, restoreRecord } = require('../services/trash');
+const { getWorkflow, getCurrentState, getTransitions, resolveInitialState, checkTransition } = require('../services/workflows');
+const { serializeTasks, buildTaskQuery, listTasks } = require('../services/tasks');
+const taskConfig = require('../config/tasks');
+const { authenticate, optionalAuthenticate, requireVerifiedEmail } = require('../middleware/auth');
+const { authorize, can, getScope, sendForbidden } = require('../middleware/authorize');
+const { taskValidationRules, timeEntryValidationRules, handleValidationErrors } = require('../middleware/validation');
+const { parseRule, formatRule } = require('../utils/recurrence');
+const { parseTaskFilter, refersToCaller } = require('../utils/taskFilter');
+const { shouldCount, describePage } = require('../utils/pagination');
+const { getFieldset, applyFieldset, pickFieldset } = require('../utils/fieldsets');
 const router = express.Router();
 
+// Load the task addressed by :id for permission checks
+const loadTask = (req) => Task.findById(req.params.id);
+
+// Load the task addressed by :id from the trash
+const loadTrashedTask = (req) => findTrashed('task', req.params.id);
+
+// Load the task addressed by :id whether or not it is in the trash
+const loadAnyTask = (req) => Task.findById(req.params.id).setOptions({ withDeleted: true });
+
+// Timezone dates are presented in: the caller's preference, or UTC for anonymous requests
+const getTimezone = (req) => (req.user && req.user.preferences.timezone) || 'UTC';
+
+// Serialize tasks for a response, with local dates and subtask rollups
+const presentTasks = (tasks, req) => serializeTasks(tasks, getTimezone(req));
+
+const presentTask = async (task, req) => (await presentTasks([task], req))[0];
+
+// Why a status change is refused, or null: completing a parent with open subtasks when that rule
+// is enabled, or starting or completing a task with open blockers unless the caller forces it
+const findStatusConflict = async (task, status, force) => {
+    if (status === 'completed' && taskConfig.blockParentCompletionWithOpenSubtasks && await Task.hasOpenSubtasks(task._id)) {
+        return { message: 'Task has open subtasks and cannot be completed yet' };
+    }
+    if (!['in-progress', 'completed'].includes(status) || status === task.status || force === true || force === 'true') {
+        return null;
+    }
+    const blockers = (await Task.getBlockers([task])).get(String(task._id)).filter(blocker => blocker.isOpen);
+    if (blockers.length > 0) {
+        return {
+            message: 'Task is blocked by open tasks. Pass force: true to change its status anyway',
+            blockedBy: blockers
+        };
+    }
+    return null;
+};
+
+// Answer 409 when a status change is refused
+const checkStatusChange = async (task, status, force, res) => {
+    const conflict = await findStatusConflict(task, status, force);
+    if (conflict) {
+        res.status(409).json({
+            success: false,
+            ...conflict
+        });
+        return false;
+    }
+    return true;
+};
+
+// Completing an occurrence of a recurring task creates the next one; returns it presented, or null
+const generateNextOccurrence = async (previousTask, updatedTask, req) => {
+    if (previousTask.status === 'completed' || updatedTask.status !== 'completed') {
+        return null;
+    }
+    const nextTask = await updatedTask.generateNextOccurrence();
+    if (!nextTask) {
+        return null;
+    }
+    await recordActivity({ resourceType: 'task', action: 'create', actor: req.user._id, after: nextTask });
+    return presentTask(nextTask, req);
+};
+
+// Boolean filters arrive as strings in query parameters and as booleans in JSON bodies
+const isTrue = (value) => value === true || value === 'true';
+
+// Answer 400 when a filter refers to "me" without a caller to stand for
+const checkFilterCaller = (q, req, res) => {
+    if (q && !req.user && refersToCaller(parseTaskFilter(q))) {
+        res.status(400).json({
+            success: false,
+            message: 'Log in to filter by "me"'
+        });
+        return false;
+    }
+    return true;
+};
+
+// Load the series of a recurring task, answering 400 when the task is not part of one
+const loadSeries = async (task, res) => {
+    const series = task.recurrence && task.recurrence.series
+        ? await TaskSeries.findById(task.recurrence.series)
+        : null;
+    if (!series) {
+        res.status(400).json({
+            success: false,
+            message: 'Task is not part of a recurring series'
+        });
+    }
+    return series;
+};
+
+// Verify the assigned user exists, answering 400 when it does not
+const checkAssignee = async (assignedTo, res) => {
+    if (assignedTo && !(await User.exists({ _id: assignedTo }))) {
+        res.status(400).json({
+            success: false,
+            message: 'Assigned user not found'
+        });
+        return false;
+    }
+    return true;
+};
+
+// Verify the project exists, answering 400 when it does not
+const checkProject = async (project, res) => {
+    if (project && !(await Project.exists({ _id: project }))) {
+        res.status(400).json({
+            success: false,
+            message: 'Project not found'
+        });
+        return false;
+    }
+    return true;
+};
+
+// Keep the task lists of projects in step when a task moves between projects
+const moveToProject = async (taskId, from, to) => {
+    if (String(from || '') === String(to || '')) {
+        return;
+    }
+    await Promise.all([
+        from && Project.updateOne({ _id: from }, { $pull: { tasks: taskId } }).setOptions({ withDeleted: true }),
+        to && Project.updateOne({ _id: to }, { $addToSet: { tasks: taskId } })
+    ]);
+};
+
+// Answer with the reason a workflow refuses a state, e.g. 409 for a move it does not allow
+const sendWorkflowConflict = (res, { code, ...conflict }) => res.status(code).json({
+    success: false,
+    ...conflict
+});
+
+// Check moving a task to the target state in the workflow of projectId, with values being the task
+// as the request would leave it; returns the state, or null when the refusal has been sent
+const resolveStateChange = async (task, target, req, res, { projectId = task.project, values = task } = {}) => {
+    const workflow = await getWorkflow(projectId);
+    const result = checkTransition(workflow, task, target, { user: req.user, reason: req.body.reason, values });
+    if (result.conflict) {
+        sendWorkflowConflict(res, result.conflict);
+        return null;
+    }
+    return result.state;
+};
+
+// State a new task starts in within the workflow of projectId; returns null when the refusal has been sent
+const resolveNewTaskState = async (projectId, requested, res) => {
+    const result = resolveInitialState(await getWorkflow(projectId), requested);
+    if (result.conflict) {
+        sendWorkflowConflict(res, result.conflict);
+        return null;
+    }
+    return result.state;
+};
+
+// Move a task to the trash, taking its subtasks along or detaching them per behavior; returns
+// how many subtasks were affected. Comments, time entries and files stay until it is purged.
+const trashTask = async (task, behavior, actor) => {
+    const deletedAt = new Date();
+    // Everything the delete touches, as it was beforehand, for the change history
+    const [descendants, orphanedTasks] = await Promise.all([
+        behavior === 'cascade' ? Task.find({ _id: { $in: await Task.getDescendantIds(task._id) } }) : [],
+        behavior === 'cascade' ? [] : Task.find({ parent: task._id })
+    ]);
+    let subtasksAffected = 0;
+    
+    if (behavior === 'cascade') {
+        const result = await Task.trashMany(
+            { _id: { $in: descendants.map(descendant => descendant._id) } },
+            { actor, root: task._id, at: deletedAt }
+        );
+        subtasksAffected = result.modifiedCount;
+    } else {
+        const result = await Task.updateMany({ parent: task._id }, { $unset: { parent: 1 } });
+        subtasksAffected = result.modifiedCount;
+    }
+    
+    await Task.trashMany({ _id: task._id }, { actor, at: deletedAt });
+    
+    await recordActivities([
+        ...[task, ...descendants].map(before => ({ resourceType: 'task', action: 'delete', actor, before })),
+        ...orphanedTasks.map(before => ({
+            resourceType: 'task', action: 'update', actor, before,
+            after: { ...before.toObject(), parent: null }
+        }))
+    ]);
+    
+    return subtasksAffected;
+};
+
+// Task field each bulk operation writes; its value is validated as that field of an update
+const bulkFields = {
+    status: 'status',
+    priority: 'priority',
+    assign: 'assignedTo',
+    category: 'category',
+    addTags: 'tags',
+    removeTags: 'tags'
+};
+
+// Field values a bulk operation sets on one task, when they differ from the plain value
+const bulkUpdateBuilders = {
+    status: (task, state) => ({
+        status: state.status,
+        state: state.key,
+        ...Task.getCompletionUpdate(task, state.status)
+    }),
+    addTags: (task, tags) => ({
+        tags: [...task.tags, ...tags.filter((tag, index) => !task.tags.includes(tag) && tags.indexOf(tag) === index)]
+    }),
+    removeTags: (task, tags) => ({ tags: task.tags.filter(tag => !tags.includes(tag)) })
+};
+
+// The bulk endpoint needs update or delete permission depending on the operation
+const authorizeBulk = (req, res, next) => {
+    return authorize('tasks', req.body.operation === 'delete' ? 'delete' : 'update')(req, res, next);
+};
+
+// Run the update rules for one task of a bulk request; returns the sanitized body, or the errors
+const validateBulkItem = async (id, { operation, value, force }) => {
+    const itemReq = {
+        params: { id },
+        body: operation === 'delete' ? {} : { [bulkFields[operation]]: value, force }
+    };
+    await Promise.all(taskValidationRules.update.map(rule => rule.run(itemReq)));
+    const errors = validationResult(itemReq);
+    if (!errors.isEmpty()) {
+        return {
+            errors: errors.array().map(error => ({
+                field: error.path,
+                message: error.msg,
+                value: error.value
+            }))
+        };
+    }
+    return { body: itemReq.body };
+};
+
+// Apply a bulk operation to one task, or only work out its effect for a dry run; returns the task's report
+const runBulkItem = async (id, req) => {
+    const { operation, force, subtasks } = req.body;
+    const dryRun = isTrue(req.body.dryRun);
+    
+    const validation = await validateBulkItem(id, req.body);
+    if (validation.errors) {
+        return { id, success: false, error: 'Validation failed', errors: validation.errors };
+    }
+    
+    const task = await Task.findById(id);
+    if (!task) {
+        return { id, success: false, error: 'Task not found' };
+    }
+    
+    const action = operation === 'delete' ? 'delete' : 'update';
+    if (!(await can(req.user, 'tasks', action, task))) {
+        return { id, title: task.title, success: false, error: `You do not have permission to ${action} this task` };
+    }
+    
+    if (operation === 'delete') {
+        const behavior = subtasks || taskConfig.subtaskDeleteBehavior;
+        let subtasksAffected;
+        if (!dryRun) {
+            subtasksAffected = await trashTask(task, behavior, req.user._id);
+        } else if (behavior === 'cascade') {
+            subtasksAffected = (await Task.getDescendantIds(task._id)).length;
+        } else {
+            subtasksAffected = await Task.countDocuments({ parent: task._id });
+        }
+        return { id, title: task.title, success: true, deleted: !dryRun, subtasks: behavior, subtasksAffected };
+    }
+    
+    let value = validation.body[bulkFields[operation]];
+    if (operation === 'status') {
+        // The value names a state of the task's own workflow
+        const transition = checkTransition(await getWorkflow(task.project), task, value, {
+            user: req.user,
+            reason: req.body.reason,
+            values: task
+        });
+        if (transition.conflict) {
+            const { code, message, ...details } = transition.conflict;
+            return { id, title: task.title, success: false, error: message, ...details };
+        }
+        value = transition.state;
+        
+        const conflict = await findStatusConflict(task, value.status, force);
+        if (conflict) {
+            return { id, title: task.title, success: false, error: conflict.message, ...(conflict.blockedBy && { blockedBy: conflict.blockedBy }) };
+        }
+    }
+    
+    const buildUpdate = bulkUpdateBuilders[operation];
+    const update = buildUpdate ? buildUpdate(task, value) : { [bulkFields[operation]]: value };
+    const changes = diffRecords('task', task, { ...task.toObject(), ...update });
+    if (dryRun || changes.length === 0) {
+        return { id, title: task.title, success: true, changes };
+    }
+    
+    const updatedTask = await Task.findByIdAndUpdate(
+        id,
+        { ...update, updatedAt: new Date() },
+        { new: true, runValidators: true }
+    );
+    await recordActivity({
+        resourceType: 'task',
+        action: operation === 'status' ? 'status' : 'update',
+        actor: req.user._id,
+        before: task,
+        after: updatedTask,
+        reason: operation === 'status' ? req.body.reason : undefined
+    });
+    const nextOccurrence = await generateNextOccurrence(task, updatedTask, req);
+    
+    return { id, title: task.title, success: true, changes, ...(nextOccurrence && { nextOccurrence: nextOccurrence._id }) };
+};
+
 // @route   GET /api/tasks
-// @desc    Get all tasks with filtering, sorting, and pagination
+// @desc    Get all tasks with filtering, sorting, and pagination. q takes a filter such as
+//          "status:pending,in-progress priority:>=high assignee:me"; see utils/taskFilter.
+//          Pages go by page number, or by the after/before cursors of the next and prev links.
+//          fields and expand pick the fields returned and the relations populated.
 // @access  Public
-router.get('/', taskValidationRules.query, handleValidationErrors, async (req, res) => {
+router.get('/', optionalAuthenticate, taskValidationRules.query, handleValidationErrors, async (req, res) => {
     try {
         const {
             page = 1,
             limit = 10,
+            after,
+            before,
+            q,
             status,
+            state,
+            project,
             priority,
             category,
             assignedTo,
             search,
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-            overdue
+            sortBy,
+            sortOrder,
+            overdue,
+            dueToday,
+            blocked
         } = req.query;
-
-        // Build query object
-        const query = {};
+        const timezone = getTimezone(req);
+        const fieldset = getFieldset('task', req.query);
         
-        if (status) query.status = status;
-        if (priority) query.priority = priority;
-        if (category) query.category = category;
-        if (assignedTo) query.assignedTo = assignedTo;
+        if (!checkFilterCaller(q, req, res)) return;
+
+        const results = await listTasks(
+            { q, status, state, project, priority, category, assignedTo, search, overdue, dueToday, blocked },
+            {
+                sortBy,
+                sortOrder,
+                limit: parseInt(limit),
+                page: parseInt(page),
+                after,
+                before,
+                count: shouldCount(req.query),
+                fieldset
+            },
+            { timezone, user: req.user }
+        );
         
-        // Handle search functionality
-        if (search) {
-            query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
-            ];
+        res.json({
+            success: true,
+            data: pickFieldset(await presentTasks(results.items, req), fieldset),
+            pagination: describePage(req, results, 'totalTasks')
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
         }
+        console.error('Error fetching tasks:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching tasks'
+        });
+    }
+});
+
+// @route   POST /api/tasks/bulk
+// @desc    Apply one operation (status, priority, assign, addTags, removeTags, category or delete)
+//          to tasks listed in `ids` or matched by `filter`, reporting success or failure per task.
+//          With dryRun: true nothing is written and each report shows what would change.
+// @access  Private (per task: owner, department manager or admin)
+router.post('/bulk', authenticate, taskValidationRules.bulk, handleValidationErrors, authorizeBulk, async (req, res) => {
+    try {
+        const { ids, filter, operation, value } = req.body;
         
-        // Handle overdue filter
-        if (overdue === 'true') {
-            query.dueDate = { $lt: new Date() };
-            query.status = { $ne: 'completed' };
+        let taskIds;
+        if (filter) {
+            const query = await buildTaskQuery(filter, { timezone: getTimezone(req), user: req.user });
+            const matched = await Task.find(query)
+                .sort({ createdAt: 1 })
+                .select('_id')
+                .limit(taskConfig.bulkMaxTasks + 1);
+            if (matched.length > taskConfig.bulkMaxTasks) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Filter matches more than ${taskConfig.bulkMaxTasks} tasks; narrow it down or pass ids instead`
+                });
+            }
+            taskIds = matched.map(task => String(task._id));
+        } else {
+            taskIds = [...new Set(ids.map(String))];
         }
         
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-        const sortObj = {};
-        sortObj[sortBy] = sortOrder === 'asc' ? 1 : -1;
+        // Every task gets the same assignee, so an unknown one fails the whole request
+        if (operation === 'assign' && mongoose.isValidObjectId(value) && !(await checkAssignee(value, res))) return;
         
-        // Execute query with pagination and sorting
-        const tasks = await Task.find(query)
-            .sort(sortObj)
-            .skip(skip)
-            .limit(parseInt(limit))
-            .populate('assignedTo', 'name email')
-            .populate('createdBy', 'name email');
-            
-        // Get total count for pagination info
-        const total = await Task.countDocuments(query);
-        const totalPages = Math.ceil(total / parseInt(limit));
+        // One task at a time, so later tasks see the effect of earlier ones (e.g. cascaded deletes)
+        const results = [];
+        for (const id of taskIds) {
+            try {
+                results.push(await runBulkItem(id, req));
+            } catch (error) {
+                console.error('Error applying bulk operation to task:', error);
+                results.push({ id, success: false, error: 'Server error while updating task' });
+            }
+        }
+        
+        const dryRun = isTrue(req.body.dryRun);
+        const succeeded = results.filter(result => result.success).length;
         
         res.json({
             success: true,
-            data: tasks,
-            pagination: {
-                currentPage: parseInt(page),
-                totalPages,
-                totalTasks: total,
-                hasNextPage: parseInt(page) < totalPages,
-                hasPrevPage: parseInt(page) > 1
-            }
+            data: results,
+            summary: {
+                operation,
+                dryRun,
+                matched: taskIds.length,
+                succeeded,
+                failed: taskIds.length - succeeded
+            },
+            message: dryRun ? 'Dry run complete; no tasks were changed' : 'Bulk operation complete'
         });
     } catch (error) {
-        console.error('Error fetching tasks:', error);
+        console.error('Error running bulk task operation:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error while fetching tasks'
+            message: 'Server error while running bulk task operation'
         });
     }
 });
 
 // @route   GET /api/tasks/:id
-// @desc    Get single task by ID
+// @desc    Get single task by ID, with the fields and expanded relations asked for
 // @access  Public
-router.get('/:id', taskValidationRules.params, handleValidationErrors, async (req, res) => {
+router.get('/:id', optionalAuthenticate, taskValidationRules.getById, taskValidationRules.fieldset, handleValidationErrors, async (req, res) => {
     try {
-        const task = await Task.findById(req.params.id)
-            .populate('assignedTo', 'name email')
-            .populate('createdBy', 'name email');
+        const fieldset = getFieldset('task', req.query);
+        const task = await applyFieldset(Task.findById(req.params.id), 'task', fieldset);
             
         if (!task) {
             return res.status(404).json({
@@ -99,7 +484,7 @@ router.get('/:id', taskValidationRules.params, handleValidationErrors, async (re
         
         res.json({
             success: true,
-            data: task
+            data: pickFieldset([await presentTask(task, req)], fieldset)[0]
         });
     } catch (error) {
         console.error('Error fetching task:', error);
@@ -113,43 +498,62 @@ router.get('/:id', taskValidationRules.params, handleValidationErrors, async (re
 // @route   POST /api/tasks
 // @desc    Create new task
 // @access  Private
-router.post('/', taskValidationRules.create, handleValidationErrors, async (req, res) => {
+router.post('/', authenticate, requireVerifiedEmail('tasks'), taskValidationRules.create, handleValidationErrors, authorize('tasks', 'create'), async (req, res) => {
     try {
         const {
             title,
             description,
-            status = 'pending',
+            status,
             priority = 'medium',
             category,
             assignedTo,
+            project,
             dueDate,
-            tags
+            tags,
+            recurrence
         } = req.body;
         
         // Verify assigned user exists if provided
-        if (assignedTo) {
-            const user = await User.findById(assignedTo);
-            if (!user) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Assigned user not found'
-                });
-            }
-        }
+        if (!(await checkAssignee(assignedTo, res))) return;
+        if (!(await checkProject(project, res))) return;
+        
+        // The status names a state of the project's workflow, its initial state by default
+        const state = await resolveNewTaskState(project, status, res);
+        if (!state) return;
         
         const newTask = new Task({
             title,
             description,
-            status,
+            status: state.status,
+            state: state.key,
             priority,
             category,
             assignedTo,
+            project,
             dueDate,
             tags,
-            createdBy: req.user?.id // Assuming auth middleware sets req.user
+            createdBy: req.user.id
         });
         
+        // A recurrence rule starts a series with this task as its first occurrence
+        if (recurrence) {
+            const series = await TaskSeries.create({
+                rule: formatRule(parseRule(recurrence)),
+                startsAt: newTask.dueDate,
+                template: TaskSeries.pickTemplate(newTask),
+                createdBy: req.user.id
+            });
+            newTask.recurrence = {
+                series: series._id,
+                rule: series.rule,
+                occurrence: 1,
+                scheduledFor: newTask.dueDate
+            };
+        }
+        
         const savedTask = await newTask.save();
+        await moveToProject(savedTask._id, null, savedTask.project);
+        await recordActivity({ resourceType: 'task', action: 'create', actor: req.user._id, after: savedTask });
         
         // Populate the response
         await savedTask.populate('assignedTo', 'name email');
@@ -157,7 +561,7 @@ router.post('/', taskValidationRules.create, handleValidationErrors, async (req,
         
         res.status(201).json({
             success: true,
-            data: savedTask,
+            data: await presentTask(savedTask, req),
             message: 'Task created successfully'
         });
     } catch (error) {
@@ -172,7 +576,7 @@ router.post('/', taskValidationRules.create, handleValidationErrors, async (req,
 // @route   PUT /api/tasks/:id
 // @desc    Update task
 // @access  Private
-router.put('/:id', taskValidationRules.update, handleValidationErrors, async (req, res) => {
+router.put('/:id', authenticate, taskValidationRules.update, handleValidationErrors, authorize('tasks', 'update', loadTask), async (req, res) => {
     try {
         const {
             title,
@@ -181,12 +585,14 @@ router.put('/:id', taskValidationRules.update, handleValidationErrors, async (re
             priority,
             category,
             assignedTo,
+            project,
             dueDate,
-            tags
+            tags,
+            reason
         } = req.body;
         
-        // Find the task
-        const task = await Task.findById(req.params.id);
+        // Task loaded during the permission check
+        const task = req.resource;
         if (!task) {
             return res.status(404).json({
                 success: false,
@@ -195,38 +601,62 @@ router.put('/:id', taskValidationRules.update, handleValidationErrors, async (re
         }
         
         // Verify assigned user exists if provided
-        if (assignedTo) {
-            const user = await User.findById(assignedTo);
-            if (!user) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Assigned user not found'
-                });
-            }
+        if (!(await checkAssignee(assignedTo, res))) return;
+        if (!(await checkProject(project, res))) return;
+        
+        // null moves the task out of its project
+        const projectId = project === undefined ? task.project : project;
+        
+        // The status names a state of the project's workflow. A task moving to another project
+        // without a status takes the matching state of the new workflow.
+        let state = null;
+        if (status !== undefined) {
+            const values = { ...task.toObject() };
+            Object.entries({ description, assignedTo, dueDate, tags }).forEach(([field, value]) => {
+                if (value !== undefined) values[field] = value;
+            });
+            state = await resolveStateChange(task, status, req, res, { projectId, values });
+            if (!state) return;
+            if (!(await checkStatusChange(task, state.status, req.body.force, res))) return;
+        } else if (String(projectId || '') !== String(task.project || '')) {
+            state = getCurrentState(await getWorkflow(projectId), task);
         }
         
+        const { $unset: completionUnset, ...completion } = state ? Task.getCompletionUpdate(task, state.status) : {};
+        const unset = {
+            ...(project !== undefined && !project && { project: 1 }),
+            ...completionUnset
+        };
+        
         // Update task
         const updatedTask = await Task.findByIdAndUpdate(
             req.params.id,
             {
                 title,
                 description,
-                status,
+                ...(state && { status: state.status, state: state.key, ...completion }),
                 priority,
                 category,
                 assignedTo,
+                ...(project && { project }),
                 dueDate,
                 tags,
-                updatedAt: new Date()
+                updatedAt: new Date(),
+                ...(Object.keys(unset).length && { $unset: unset })
             },
             { new: true, runValidators: true }
         )
         .populate('assignedTo', 'name email')
         .populate('createdBy', 'name email');
         
+        await moveToProject(task._id, task.project, updatedTask.project);
+        await recordActivity({ resourceType: 'task', action: 'update', actor: req.user._id, before: task, after: updatedTask, reason });
+        const nextOccurrence = await generateNextOccurrence(task, updatedTask, req);
+        
         res.json({
             success: true,
-            data: updatedTask,
+            data: await presentTask(updatedTask, req),
+            ...(nextOccurrence && { nextOccurrence }),
             message: 'Task updated successfully'
         });
     } catch (error) {
@@ -239,11 +669,11 @@ router.put('/:id', taskValidationRules.update, handleValidationErrors, async (re
 });
 
 // @route   DELETE /api/tasks/:id
-// @desc    Delete task
+// @desc    Move a task to the trash; subtasks go along or are detached per ?subtasks= or the configured default
 // @access  Private
-router.delete('/:id', taskValidationRules.params, handleValidationErrors, async (req, res) => {
+router.delete('/:id', authenticate, taskValidationRules.remove, handleValidationErrors, authorize('tasks', 'delete', loadTask), async (req, res) => {
     try {
-        const task = await Task.findById(req.params.id);
+        const task = req.resource;
         
         if (!task) {
             return res.status(404).json({
@@ -252,11 +682,13 @@ router.delete('/:id', taskValidationRules.params, handleValidationErrors, async
             });
         }
         
-        await Task.findByIdAndDelete(req.params.id);
+        const behavior = req.query.subtasks || taskConfig.subtaskDeleteBehavior;
+        const subtasksAffected = await trashTask(task, behavior, req.user._id);
         
         res.json({
             success: true,
-            message: 'Task deleted successfully'
+            data: { subtasks: behavior, subtasksAffected, purgeAt: getPurgeDate(new Date()) },
+            message: 'Task moved to trash'
         });
     } catch (error) {
         console.error('Error deleting task:', error);
@@ -267,14 +699,56 @@ router.delete('/:id', taskValidationRules.params, handleValidationErrors, async
     }
 });
 
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a task from the trash, with the subtasks that were deleted along with it
+// @access  Private
+router.post('/:id/restore', authenticate, taskValidationRules.getById, handleValidationErrors, authorize('tasks', 'delete', loadTrashedTask), async (req, res) => {
+    try {
+        const task = req.resource;
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found in trash'
+            });
+        }
+        
+        if (task.deletedWith) {
+            return res.status(409).json({
+                success: false,
+                message: 'Task was deleted along with another record; restore that instead',
+                deletedWith: task.deletedWith
+            });
+        }
+        
+        const restored = await restoreRecord('task', task, req.user._id);
+        const restoredTask = await Task.findById(task._id)
+            .populate('assignedTo', 'name email')
+            .populate('createdBy', 'name email');
+        
+        res.json({
+            success: true,
+            data: await presentTask(restoredTask, req),
+            restored,
+            message: 'Task restored successfully'
+        });
+    } catch (error) {
+        console.error('Error restoring task:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while restoring task'
+        });
+    }
+});
+
 // @route   PATCH /api/tasks/:id/status
-// @desc    Update task status only
+// @desc    Move a task to another state of its project's workflow. Moves the workflow does not allow
+//          are refused with 409, unmet guards (e.g. a required reason) with 400.
 // @access  Private
-router.patch('/:id/status', taskValidationRules.status, handleValidationErrors, async (req, res) => {
+router.patch('/:id/status', authenticate, taskValidationRules.status, handleValidationErrors, authorize('tasks', 'update', loadTask), async (req, res) => {
     try {
-        const { status } = req.body;
+        const { status, reason } = req.body;
         
-        const task = await Task.findById(req.params.id);
+        const task = req.resource;
         if (!task) {
             return res.status(404).json({
                 success: false,
@@ -282,21 +756,30 @@ router.patch('/:id/status', taskValidationRules.status, handleValidationErrors,
             });
         }
         
+        const state = await resolveStateChange(task, status, req, res);
+        if (!state) return;
+        if (!(await checkStatusChange(task, state.status, req.body.force, res))) return;
+        
         const updatedTask = await Task.findByIdAndUpdate(
             req.params.id,
             { 
-                status,
+                status: state.status,
+                state: state.key,
                 updatedAt: new Date(),
-                ...(status === 'completed' && { completedAt: new Date() })
+                ...Task.getCompletionUpdate(task, state.status)
             },
             { new: true, runValidators: true }
         )
         .populate('assignedTo', 'name email')
         .populate('createdBy', 'name email');
         
+        await recordActivity({ resourceType: 'task', action: 'status', actor: req.user._id, before: task, after: updatedTask, reason });
+        const nextOccurrence = await generateNextOccurrence(task, updatedTask, req);
+        
         res.json({
             success: true,
-            data: updatedTask,
+            data: await presentTask(updatedTask, req),
+            ...(nextOccurrence && { nextOccurrence }),
             message: 'Task status updated successfully'
         });
     } catch (error) {
@@ -308,6 +791,496 @@ router.patch('/:id/status', taskValidationRules.status, handleValidationErrors,
     }
 });
 
+// @route   GET /api/tasks/:id/transitions
+// @desc    List the states a task can move to from its current state, and what stands in the way
+// @access  Private
+router.get('/:id/transitions', authenticate, taskValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const workflow = await getWorkflow(task.project);
+        const current = getCurrentState(workflow, task);
+        // A reason is given with the move itself, so it does not make a move unavailable here
+        const transitions = getTransitions(workflow, task, { user: req.user }).map(({ state, guards, problems }) => {
+            const blocking = problems.filter(problem => problem.type !== 'requireReason');
+            return {
+                to: state.key,
+                name: state.name,
+                status: state.status,
+                requiresReason: guards.some(guard => guard.type === 'requireReason'),
+                available: blocking.length === 0,
+                problems: blocking.map(problem => problem.message)
+            };
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                workflow: { _id: workflow._id || null, name: workflow.name },
+                current,
+                transitions
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching task transitions:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching task transitions'
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id/history
+// @desc    Get the change history of a task, newest first; still available after deletion
+// @access  Private (own tasks; department for managers; all, including purged tasks, for admins)
+router.get('/:id/history', authenticate, taskValidationRules.history, handleValidationErrors, authorize('tasks', 'history', loadAnyTask), async (req, res) => {
+    try {
+        // Without the task there is no owner to check, so only 'any' scope reads a purged task's history
+        const task = req.resource;
+        const history = task || getScope(req.user, 'tasks', 'history') === 'any'
+            ? await findActivity({ resourceType: 'task', resource: req.params.id }, req.query)
+            : null;
+        
+        if (!task && !(history && history.pagination.total > 0)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        res.json({
+            success: true,
+            data: history.activities,
+            pagination: history.pagination
+        });
+    } catch (error) {
+        console.error('Error fetching task history:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching task history'
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id/time-entries
+// @desc    Get the time logged on a task, optionally by user and over a from/to range,
+//          with totals and the task's estimate for comparison
+// @access  Private (own entries; department for managers; all for admins)
+router.get('/:id/time-entries', authenticate, timeEntryValidationRules.taskList, handleValidationErrors, authorize('timeEntries', 'read'), async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id).select('title estimatedHours actualHours');
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const filter = await buildEntryFilter(req.user, { ...req.query, task: req.params.id });
+        if (!filter) {
+            return sendForbidden(res, 'timeEntries', 'read');
+        }
+        
+        const { entries, totals, pagination } = await listEntries(filter, req.query);
+        const { estimatedHours, actualHours = 0 } = task;
+        
+        res.json({
+            success: true,
+            data: entries,
+            totals,
+            estimate: {
+                estimatedHours,
+                actualHours,
+                remainingHours: estimatedHours === undefined ? null : Math.round((estimatedHours - actualHours) * 100) / 100,
+                percentUsed: estimatedHours ? Math.round((actualHours / estimatedHours) * 100) : null
+            },
+            pagination
+        });
+    } catch (error) {
+        console.error('Error fetching task time entries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching task time entries'
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id/subtasks
+// @desc    Get the direct subtasks of a task
+// @access  Public
+router.get('/:id/subtasks', optionalAuthenticate, taskValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const subtasks = await Task.find({ parent: task._id })
+            .sort({ createdAt: 1 })
+            .populate('assignedTo', 'name email')
+            .populate('createdBy', 'name email');
+        
+        res.json({
+            success: true,
+            data: await presentTasks(subtasks, req),
+            count: subtasks.length
+        });
+    } catch (error) {
+        console.error('Error fetching subtasks:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching subtasks'
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/subtasks
+// @desc    Create a subtask under a task
+// @access  Private (anyone who can update the parent)
+router.post('/:id/subtasks', authenticate, requireVerifiedEmail('tasks'), taskValidationRules.getById, taskValidationRules.createSubtask, handleValidationErrors, authorize('tasks', 'update', loadTask), async (req, res) => {
+    try {
+        const parent = req.resource;
+        if (!parent) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const {
+            title,
+            description,
+            status,
+            priority = parent.priority,
+            category = parent.category,
+            assignedTo,
+            dueDate,
+            tags,
+            estimatedHours
+        } = req.body;
+        
+        if (!(await checkAssignee(assignedTo, res))) return;
+        
+        // Subtasks belong to the parent's project and follow its workflow
+        const state = await resolveNewTaskState(parent.project, status, res);
+        if (!state) return;
+        
+        const subtask = await Task.create({
+            title,
+            description,
+            status: state.status,
+            state: state.key,
+            priority,
+            category,
+            assignedTo,
+            dueDate,
+            tags,
+            estimatedHours,
+            project: parent.project,
+            parent: parent._id,
+            createdBy: req.user.id
+        });
+        await moveToProject(subtask._id, null, subtask.project);
+        await recordActivity({ resourceType: 'task', action: 'create', actor: req.user._id, after: subtask });
+        
+        await subtask.populate('assignedTo', 'name email');
+        await subtask.populate('createdBy', 'name email');
+        
+        res.status(201).json({
+            success: true,
+            data: await presentTask(subtask, req),
+            message: 'Subtask created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating subtask:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating subtask'
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id/series
+// @desc    Get the recurring series of a task with all of its occurrences
+// @access  Public
+router.get('/:id/series', optionalAuthenticate, taskValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const series = await loadSeries(task, res);
+        if (!series) return;
+        
+        const occurrences = await Task.find({ 'recurrence.series': series._id })
+            .sort({ 'recurrence.occurrence': 1 })
+            .populate('assignedTo', 'name email')
+            .populate('createdBy', 'name email');
+        
+        res.json({
+            success: true,
+            data: {
+                series,
+                occurrences: await presentTasks(occurrences, req)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching task series:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching task series'
+        });
+    }
+});
+
+// @route   PUT /api/tasks/:id/series
+// @desc    Edit the whole series: its rule and the fields of every open and future occurrence.
+//          Use PUT /api/tasks/:id to edit only this occurrence.
+// @access  Private (anyone who can update the task)
+router.put('/:id/series', authenticate, taskValidationRules.series, handleValidationErrors, authorize('tasks', 'update', loadTask), async (req, res) => {
+    try {
+        const task = req.resource;
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const series = await loadSeries(task, res);
+        if (!series) return;
+        
+        if (!(await checkAssignee(req.body.assignedTo, res))) return;
+        
+        const changes = TaskSeries.pickTemplate(req.body);
+        Object.entries(changes).forEach(([field, value]) => series.set(`template.${field}`, value));
+        if (req.body.recurrence) {
+            series.rule = formatRule(parseRule(req.body.recurrence));
+        }
+        await series.save();
+        
+        const beforeTasks = await Task.find({ 'recurrence.series': series._id, status: { $in: ['pending', 'in-progress'] } });
+        const occurrenceIds = beforeTasks.map(before => before._id);
+        const result = await Task.updateMany(
+            { _id: { $in: occurrenceIds } },
+            { ...changes, 'recurrence.rule': series.rule },
+            { runValidators: true }
+        );
+        const afterTasks = await Task.find({ _id: { $in: occurrenceIds } });
+        await recordActivities(afterTasks.map(after => ({
+            resourceType: 'task',
+            action: 'update',
+            actor: req.user._id,
+            before: beforeTasks.find(before => before._id.equals(after._id)),
+            after
+        })));
+        
+        res.json({
+            success: true,
+            data: {
+                series,
+                occurrencesUpdated: result.modifiedCount
+            },
+            message: 'Series updated successfully'
+        });
+    } catch (error) {
+        console.error('Error updating task series:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating task series'
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/series/stop
+// @desc    Stop a recurring series so no further occurrences are created
+// @access  Private (anyone who can update the task)
+router.post('/:id/series/stop', authenticate, taskValidationRules.getById, handleValidationErrors, authorize('tasks', 'update', loadTask), async (req, res) => {
+    try {
+        const task = req.resource;
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const series = await loadSeries(task, res);
+        if (!series) return;
+        
+        if (series.stoppedAt) {
+            return res.status(409).json({
+                success: false,
+                message: 'Series is already stopped'
+            });
+        }
+        
+        await series.stop();
+        
+        res.json({
+            success: true,
+            data: series,
+            message: 'Series stopped successfully'
+        });
+    } catch (error) {
+        console.error('Error stopping task series:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while stopping task series'
+        });
+    }
+});
+
+// @route   GET /api/tasks/:id/dependencies
+// @desc    Get the tasks blocking a task and the tasks it blocks
+// @access  Public
+router.get('/:id/dependencies', optionalAuthenticate, taskValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const task = await Task.findById(req.params.id);
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const [blockers, blocks] = await Promise.all([
+            Task.getBlockers([task]),
+            Task.find({ blockedBy: task._id }).select('title status')
+        ]);
+        
+        res.json({
+            success: true,
+            data: {
+                blockedBy: blockers.get(String(task._id)),
+                blocks
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching task dependencies:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching task dependencies'
+        });
+    }
+});
+
+// @route   POST /api/tasks/:id/dependencies
+// @desc    Mark a task as blocked by another task
+// @access  Private (anyone who can update the blocked task)
+router.post('/:id/dependencies', authenticate, taskValidationRules.addDependency, handleValidationErrors, authorize('tasks', 'update', loadTask), async (req, res) => {
+    try {
+        const task = req.resource;
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        const blocker = await Task.findById(req.body.blockedBy);
+        if (!blocker) {
+            return res.status(400).json({
+                success: false,
+                message: 'Blocking task not found'
+            });
+        }
+        
+        if (task.blockedBy.some(id => id.equals(blocker._id))) {
+            return res.status(409).json({
+                success: false,
+                message: 'Task is already blocked by that task'
+            });
+        }
+        
+        if (await Task.wouldCreateDependencyCycle(task._id, blocker._id)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Dependency would create a cycle'
+            });
+        }
+        
+        const updatedTask = await Task.findByIdAndUpdate(
+            task._id,
+            { $addToSet: { blockedBy: blocker._id } },
+            { new: true }
+        )
+        .populate('assignedTo', 'name email')
+        .populate('createdBy', 'name email');
+        
+        await recordActivity({ resourceType: 'task', action: 'update', actor: req.user._id, before: task, after: updatedTask });
+        
+        res.status(201).json({
+            success: true,
+            data: await presentTask(updatedTask, req),
+            message: 'Dependency added successfully'
+        });
+    } catch (error) {
+        console.error('Error adding task dependency:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while adding task dependency'
+        });
+    }
+});
+
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
+// @desc    Remove a blocking task from a task
+// @access  Private (anyone who can update the blocked task)
+router.delete('/:id/dependencies/:blockerId', authenticate, taskValidationRules.removeDependency, handleValidationErrors, authorize('tasks', 'update', loadTask), async (req, res) => {
+    try {
+        const task = req.resource;
+        if (!task) {
+            return res.status(404).json({
+                success: false,
+                message: 'Task not found'
+            });
+        }
+        
+        if (!task.blockedBy.some(id => id.equals(req.params.blockerId))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dependency not found'
+            });
+        }
+        
+        const updatedTask = await Task.findByIdAndUpdate(
+            task._id,
+            { $pull: { blockedBy: req.params.blockerId } },
+            { new: true }
+        )
+        .populate('assignedTo', 'name email')
+        .populate('createdBy', 'name email');
+        
+        await recordActivity({ resourceType: 'task', action: 'update', actor: req.user._id, before: task, after: updatedTask });
+        
+        res.json({
+            success: true,
+            data: await presentTask(updatedTask, req),
+            message: 'Dependency removed successfully'
+        });
+    } catch (error) {
+        console.error('Error removing task dependency:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while removing task dependency'
+        });
+    }
+});
+
 // @route   GET /api/tasks/stats/summary
 // @desc    Get task statistics summary
 // @access  Public
@@ -0,0 +1,279 @@
+const express = require('express');
+const TimeEntry = require('../models/TimeEntry');
+const Task = require('../models/Task');
+const { authenticate } = require('../middleware/auth');
+const { authorize, can, sendForbidden } = require('../middleware/authorize');
+const { buildEntryFilter, listEntries } = require('../services/timeEntries');
+const { timeEntryValidationRules, handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+router.use(authenticate);
+
+const loadEntry = (req) => TimeEntry.findById(req.params.id);
+
+const populateEntry = (entry) => entry.populate([
+    { path: 'task', select: 'title estimatedHours actualHours' },
+    { path: 'user', select: 'name email' }
+]);
+
+// Times that pass request validation can still be rejected by the model, e.g. an end before the start
+const sendModelValidationError = (res, error) => res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+});
+
+const sendTaskNotFound = (res) => res.status(400).json({
+    success: false,
+    message: 'Task not found'
+});
+
+// Time can only be logged on a task the caller may read, since it changes the task's actualHours
+const checkTask = async (taskId, req, res) => {
+    const task = await Task.findById(taskId).select('createdBy assignedTo');
+    if (!task) {
+        sendTaskNotFound(res);
+        return false;
+    }
+    if (!(await can(req.user, 'tasks', 'read', task))) {
+        sendForbidden(res, 'tasks', 'read', 'You cannot log time on this task');
+        return false;
+    }
+    return true;
+};
+
+// @route   GET /api/time-entries
+// @desc    List time entries, filtered by task, user, billable and a from/to range on the start time.
+//          Without a user filter this covers every entry the caller may see.
+// @access  Private (own entries; department for managers; all for admins)
+router.get('/', timeEntryValidationRules.list, handleValidationErrors, authorize('timeEntries', 'read'), async (req, res) => {
+    try {
+        const filter = await buildEntryFilter(req.user, req.query);
+        if (!filter) {
+            return sendForbidden(res, 'timeEntries', 'read');
+        }
+
+        const { entries, totals, pagination } = await listEntries(filter, req.query);
+
+        res.json({
+            success: true,
+            data: entries,
+            totals,
+            pagination
+        });
+    } catch (error) {
+        console.error('Error fetching time entries:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching time entries'
+        });
+    }
+});
+
+// @route   GET /api/time-entries/current
+// @desc    Get the caller's running timer, if any
+// @access  Private
+router.get('/current', authorize('timeEntries', 'read'), async (req, res) => {
+    try {
+        const entry = await TimeEntry.findOne({ user: req.user._id, isRunning: true });
+        if (entry) {
+            await populateEntry(entry);
+        }
+
+        res.json({
+            success: true,
+            data: entry
+        });
+    } catch (error) {
+        console.error('Error fetching running timer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching running timer'
+        });
+    }
+});
+
+// @route   POST /api/time-entries
+// @desc    Log time by hand with startedAt and either endedAt or durationMinutes
+// @access  Private
+router.post('/', timeEntryValidationRules.create, handleValidationErrors, authorize('timeEntries', 'create'), async (req, res) => {
+    try {
+        const { task, startedAt, endedAt, durationMinutes, note, billable } = req.body;
+
+        if (!(await checkTask(task, req, res))) return;
+
+        const start = new Date(startedAt);
+        const entry = new TimeEntry({
+            task,
+            user: req.user._id,
+            source: 'manual',
+            startedAt: start,
+            endedAt: endedAt ? new Date(endedAt) : new Date(start.getTime() + durationMinutes * 60000),
+            note,
+            billable
+        });
+        await entry.save();
+        await TimeEntry.syncTaskHours(task);
+        await populateEntry(entry);
+
+        res.status(201).json({
+            success: true,
+            data: entry,
+            message: 'Time entry created successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendModelValidationError(res, error);
+        }
+        console.error('Error creating time entry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating time entry'
+        });
+    }
+});
+
+// @route   POST /api/time-entries/start
+// @desc    Start a timer on a task; a user can only have one timer running
+// @access  Private
+router.post('/start', timeEntryValidationRules.start, handleValidationErrors, authorize('timeEntries', 'create'), async (req, res) => {
+    try {
+        const { task, note, billable } = req.body;
+
+        if (!(await checkTask(task, req, res))) return;
+
+        const entry = await TimeEntry.create({
+            task,
+            user: req.user._id,
+            source: 'timer',
+            startedAt: new Date(),
+            note,
+            billable
+        });
+        await populateEntry(entry);
+
+        res.status(201).json({
+            success: true,
+            data: entry,
+            message: 'Timer started'
+        });
+    } catch (error) {
+        // The partial unique index rejects a second running timer
+        if (error.code === 11000) {
+            return res.status(409).json({
+                success: false,
+                message: 'You already have a running timer. Stop it before starting another'
+            });
+        }
+        console.error('Error starting timer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while starting timer'
+        });
+    }
+});
+
+// @route   POST /api/time-entries/stop
+// @desc    Stop the caller's running timer
+// @access  Private
+router.post('/stop', authorize('timeEntries', 'update'), async (req, res) => {
+    try {
+        const entry = await TimeEntry.findOne({ user: req.user._id, isRunning: true });
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'No timer is running'
+            });
+        }
+
+        // Under a minute counts as a minute and a timer left running is capped at the
+        // longest allowed entry, so stopping a timer never fails validation
+        const elapsed = Math.min(Math.max(Date.now() - entry.startedAt, 60000), TimeEntry.MAX_ENTRY_MS);
+        await entry.stop(new Date(entry.startedAt.getTime() + elapsed));
+        await TimeEntry.syncTaskHours(entry.task);
+        await populateEntry(entry);
+
+        res.json({
+            success: true,
+            data: entry,
+            message: 'Timer stopped'
+        });
+    } catch (error) {
+        console.error('Error stopping timer:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while stopping timer'
+        });
+    }
+});
+
+// @route   PUT /api/time-entries/:id
+// @desc    Edit a time entry's times, note or billable flag
+// @access  Private (owner, department manager or admin)
+router.put('/:id', timeEntryValidationRules.update, handleValidationErrors, authorize('timeEntries', 'update', loadEntry), async (req, res) => {
+    try {
+        const entry = req.resource;
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Time entry not found'
+            });
+        }
+
+        const { startedAt, endedAt, note, billable } = req.body;
+        if (startedAt !== undefined) entry.startedAt = new Date(startedAt);
+        if (endedAt !== undefined) entry.endedAt = new Date(endedAt);
+        if (note !== undefined) entry.note = note;
+        if (billable !== undefined) entry.billable = billable;
+
+        await entry.save();
+        await TimeEntry.syncTaskHours(entry.task);
+        await populateEntry(entry);
+
+        res.json({
+            success: true,
+            data: entry,
+            message: 'Time entry updated successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendModelValidationError(res, error);
+        }
+        console.error('Error updating time entry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating time entry'
+        });
+    }
+});
+
+// @route   DELETE /api/time-entries/:id
+// @desc    Delete a time entry
+// @access  Private (owner, department manager or admin)
+router.delete('/:id', timeEntryValidationRules.remove, handleValidationErrors, authorize('timeEntries', 'delete', loadEntry), async (req, res) => {
+    try {
+        const entry = req.resource;
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                message: 'Time entry not found'
+            });
+        }
+
+        await entry.deleteOne();
+        await TimeEntry.syncTaskHours(entry.task);
+
+        res.json({
+            success: true,
+            message: 'Time entry deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting time entry:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting time entry'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,29 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const { listTrash } = require('../services/trash');
+const { trashValidationRules, handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+// @route   GET /api/trash
+// @desc    Records the caller could have deleted that are in the trash, newest first, optionally
+//          of one type. Records deleted along with another are counted under it as dependents.
+// @access  Private
+router.get('/', authenticate, trashValidationRules.list, handleValidationErrors, async (req, res) => {
+    try {
+        const { items, pagination } = await listTrash(req.user, req.query);
+
+        res.json({
+            success: true,
+            data: items,
+            pagination
+        });
+    } catch (error) {
+        console.error('Error fetching trash:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching trash'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const User = require('../models/User');
+const authConfig = require('../config/auth');
+const { authenticateForTwoFactorSetup, requireUserSession } = require('../middleware/auth');
+const { generateSecret, verifyTotp, buildOtpauthUri } = require('../utils/totp');
+const { twoFactorValidationRules, handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+// Enrollment stays reachable for users who are required to enroll
+router.use(authenticateForTwoFactorSetup, requireUserSession);
+
+const loadUserWithSecrets = (req, extra = '') => {
+    return User.findById(req.user._id)
+        .select(`+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep ${extra}`);
+};
+
+const sendInvalidCode = (res) => {
+    return res.status(400).json({
+        success: false,
+        message: 'Invalid two-factor code'
+    });
+};
+
+// @route   GET /api/auth/2fa
+// @desc    Get two-factor status and whether the caller's role requires it
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const user = await loadUserWithSecrets(req);
+
+        res.json({
+            success: true,
+            data: {
+                enabled: user.twoFactor.enabled,
+                enabledAt: user.twoFactor.enabledAt,
+                required: authConfig.twoFactorRequiredRoles.includes(user.role),
+                recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching two-factor status'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: create a secret and otpauth URI for QR display
+// @access  Private
+router.post('/setup', async (req, res) => {
+    try {
+        const user = await loadUserWithSecrets(req);
+
+        if (user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = generateSecret();
+        user.twoFactor.pendingSecret = secret;
+        await user.save();
+
+        res.json({
+            success: true,
+            data: {
+                secret,
+                otpauthUri: buildOtpauthUri({
+                    secret,
+                    accountName: user.email,
+                    issuer: authConfig.twoFactorIssuer
+                })
+            },
+            message: 'Scan the code with your authenticator app, then confirm with a code'
+        });
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while starting two-factor setup'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/enable', twoFactorValidationRules.enable, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await loadUserWithSecrets(req);
+
+        if (user.twoFactor.enabled || !user.twoFactor.pendingSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Start two-factor setup first'
+            });
+        }
+
+        const step = verifyTotp(user.twoFactor.pendingSecret, req.body.code);
+        if (step === null) {
+            return sendInvalidCode(res);
+        }
+
+        user.twoFactor.enabled = true;
+        user.twoFactor.enabledAt = new Date();
+        user.twoFactor.secret = user.twoFactor.pendingSecret;
+        user.twoFactor.pendingSecret = undefined;
+        user.twoFactor.lastUsedStep = step;
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+
+        res.json({
+            success: true,
+            data: { recoveryCodes },
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe'
+        });
+    } catch (error) {
+        console.error('Error enabling two-factor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while enabling two-factor authentication'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes
+// @access  Private
+router.post('/recovery-codes', twoFactorValidationRules.regenerate, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await loadUserWithSecrets(req);
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!user.verifyTwoFactorCode(req.body.code)) {
+            return sendInvalidCode(res);
+        }
+
+        const recoveryCodes = user.generateRecoveryCodes();
+        await user.save();
+
+        res.json({
+            success: true,
+            data: { recoveryCodes },
+            message: 'Recovery codes regenerated'
+        });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while regenerating recovery codes'
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', twoFactorValidationRules.disable, handleValidationErrors, async (req, res) => {
+    try {
+        if (authConfig.twoFactorRequiredRoles.includes(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for your role'
+            });
+        }
+
+        const user = await loadUserWithSecrets(req, '+password');
+
+        if (!user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await user.comparePassword(req.body.password)) || !user.verifyTwoFactorCode(req.body.code)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid password or two-factor code'
+            });
+        }
+
+        await user.disableTwoFactor();
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Error disabling two-factor:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while disabling two-factor authentication'
+        });
+    }
+});
+
+module.exports = router;
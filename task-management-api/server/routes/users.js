@@ -1 +1,364 @@
-// Users routes
+const express = require('express');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { sendVerificationEmail } = require('../services/verification');
+const { recordActivities } = require('../services/activity');
+const { getPurgeDate, findTrashed, restoreRecord } = require('../services/trash');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { userValidationRules, handleValidationErrors } = require('../middleware/validation');
+const { shouldCount, describePage } = require('../utils/pagination');
+const { getFieldset, applyFieldset, pickFieldset } = require('../utils/fieldsets');
+const router = express.Router();
+
+// Every users route requires an authenticated caller
+router.use(authenticate);
+
+// Fields an admin may set through create and update
+const editableFields = ['name', 'email', 'role', 'department', 'position', 'phone'];
+
+const pickFields = (source, fields) => {
+    return fields.reduce((acc, field) => {
+        if (source[field] !== undefined) acc[field] = source[field];
+        return acc;
+    }, {});
+};
+
+const sendDuplicateEmail = (res) => {
+    return res.status(409).json({
+        success: false,
+        message: 'Email is already registered'
+    });
+};
+
+// @route   GET /api/users
+// @desc    Search users with role, department and active filters, by page number or by the
+//          after/before cursors of the next and prev links
+// @access  Private (admin, manager)
+router.get('/', authorize('users', 'read'), userValidationRules.query, handleValidationErrors, async (req, res) => {
+    try {
+        const {
+            page = 1,
+            limit = 10,
+            after,
+            before,
+            search,
+            role,
+            department,
+            isActive
+        } = req.query;
+        const fieldset = getFieldset('user', req.query);
+
+        const results = await User.searchUsers(search, {
+            limit: parseInt(limit),
+            page: parseInt(page),
+            after,
+            before,
+            count: shouldCount(req.query),
+            role,
+            department,
+            isActive: isActive === undefined ? undefined : isActive === 'true',
+            prepare: (users) => applyFieldset(users, 'user', fieldset)
+        });
+
+        res.json({
+            success: true,
+            data: pickFieldset(results.items, fieldset),
+            pagination: describePage(req, results, 'totalUsers')
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error fetching users:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching users'
+        });
+    }
+});
+
+// @route   GET /api/users/active
+// @desc    Get all active users
+// @access  Private (admin, manager)
+router.get('/active', authorize('users', 'read'), async (req, res) => {
+    try {
+        const users = await User.findActiveUsers().sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: users,
+            count: users.length
+        });
+    } catch (error) {
+        console.error('Error fetching active users:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching active users'
+        });
+    }
+});
+
+// @route   GET /api/users/stats
+// @desc    Get user statistics by role and department
+// @access  Private (admin, manager)
+router.get('/stats', authorize('users', 'read'), async (req, res) => {
+    try {
+        const stats = await User.getUserStats();
+
+        res.json({
+            success: true,
+            data: stats
+        });
+    } catch (error) {
+        console.error('Error fetching user stats:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching user statistics'
+        });
+    }
+});
+
+// @route   GET /api/users/:id
+// @desc    Get single user by ID with assigned task count
+// @access  Private (admin, manager)
+router.get('/:id', authorize('users', 'read'), userValidationRules.getById, userValidationRules.fieldset, handleValidationErrors, async (req, res) => {
+    try {
+        const fieldset = getFieldset('user', req.query);
+        const query = applyFieldset(User.findById(req.params.id), 'user', fieldset);
+        if (!fieldset.fields || fieldset.fields.includes('taskCount')) {
+            query.populate('taskCount');
+        }
+        const user = await query;
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: pickFieldset([user], fieldset)[0]
+        });
+    } catch (error) {
+        console.error('Error fetching user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching user'
+        });
+    }
+});
+
+// @route   POST /api/users
+// @desc    Create new user
+// @access  Private (admin)
+router.post('/', authorize('users', 'create'), userValidationRules.create, handleValidationErrors, async (req, res) => {
+    try {
+        // Accounts in the trash keep their email until they are purged
+        const existingUser = await User.findByEmail(req.body.email).setOptions({ withDeleted: true });
+        if (existingUser) {
+            return sendDuplicateEmail(res);
+        }
+
+        const user = new User({
+            ...pickFields(req.body, editableFields),
+            password: req.body.password
+        });
+        await user.save();
+
+        try {
+            await sendVerificationEmail(user);
+        } catch (error) {
+            console.error('Error sending verification email:', error);
+        }
+
+        res.status(201).json({
+            success: true,
+            data: user.getPublicProfile(),
+            message: 'User created successfully'
+        });
+    } catch (error) {
+        console.error('Error creating user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating user'
+        });
+    }
+});
+
+// @route   PUT /api/users/:id
+// @desc    Update user
+// @access  Private (admin)
+router.put('/:id', authorize('users', 'update'), userValidationRules.update, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Save through the document so the model's pre-save hooks run
+        user.set(pickFields(req.body, [...editableFields, 'isActive']));
+        const updatedUser = await user.save();
+
+        res.json({
+            success: true,
+            data: updatedUser,
+            message: 'User updated successfully'
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return sendDuplicateEmail(res);
+        }
+        console.error('Error updating user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating user'
+        });
+    }
+});
+
+// @route   PATCH /api/users/:id/active
+// @desc    Toggle a user between active and inactive
+// @access  Private (admin)
+router.patch('/:id/active', authorize('users', 'update'), userValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await user.toggleActive();
+
+        res.json({
+            success: true,
+            data: user,
+            message: `User ${user.isActive ? 'activated' : 'deactivated'} successfully`
+        });
+    } catch (error) {
+        console.error('Error toggling user status:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating user status'
+        });
+    }
+});
+
+// @route   PATCH /api/users/:id/unlock
+// @desc    Clear a login lockout and failed attempt counter
+// @access  Private (admin)
+router.patch('/:id/unlock', authorize('users', 'unlock'), userValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await user.unlock();
+
+        res.json({
+            success: true,
+            data: user,
+            message: 'User unlocked successfully'
+        });
+    } catch (error) {
+        console.error('Error unlocking user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while unlocking user'
+        });
+    }
+});
+
+// @route   DELETE /api/users/:id
+// @desc    Move a user to the trash along with their tasks and projects
+// @access  Private (admin)
+router.delete('/:id', authorize('users', 'delete'), userValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // The user's tasks and projects go too, and come back when the user is restored
+        const actor = req.user._id;
+        const deletedAt = new Date();
+        const [tasks, projects] = await Promise.all([
+            Task.find({ createdBy: user._id }),
+            Project.find({ userId: user._id })
+        ]);
+        await Task.trashMany({ createdBy: user._id }, { actor, root: user._id, at: deletedAt });
+        await Project.trashMany({ userId: user._id }, { actor, root: user._id, at: deletedAt });
+        await User.trashMany({ _id: user._id }, { actor, at: deletedAt });
+        await recordActivities([
+            ...tasks.map(before => ({ resourceType: 'task', action: 'delete', actor, before })),
+            ...projects.map(before => ({ resourceType: 'project', action: 'delete', actor, before }))
+        ]);
+
+        res.json({
+            success: true,
+            data: { tasks: tasks.length, projects: projects.length, purgeAt: getPurgeDate(deletedAt) },
+            message: 'User and associated data moved to trash'
+        });
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting user'
+        });
+    }
+});
+
+// @route   POST /api/users/:id/restore
+// @desc    Restore a user from the trash, with the tasks and projects deleted along with them
+// @access  Private (admin)
+router.post('/:id/restore', authorize('users', 'delete'), userValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const user = await findTrashed('user', req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found in trash'
+            });
+        }
+
+        const restored = await restoreRecord('user', user, req.user._id);
+
+        res.json({
+            success: true,
+            data: await User.findById(user._id),
+            restored,
+            message: 'User restored successfully'
+        });
+    } catch (error) {
+        console.error('Error restoring user:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while restoring user'
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,279 @@
+const express = require('express');
+const View = require('../models/View');
+const Task = require('../models/Task');
+const viewConfig = require('../config/views');
+const { buildTaskQuery, listTasks, serializeTasks } = require('../services/tasks');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { viewValidationRules, handleValidationErrors } = require('../middleware/validation');
+const { shouldCount, describePage } = require('../utils/pagination');
+const { getFieldset, pickFieldset } = require('../utils/fieldsets');
+const router = express.Router();
+
+router.use(authenticate);
+
+// Fields a view can be created or edited with
+const editableFields = ['name', 'description', 'visibility', 'filters', 'sort', 'columns'];
+
+const pickFields = (source) => {
+    return editableFields.reduce((acc, field) => {
+        if (source[field] !== undefined) acc[field] = source[field];
+        return acc;
+    }, {});
+};
+
+// Load the view addressed by :id, if the caller can see it, for permission checks
+const loadView = (req) => View.findOne({ _id: req.params.id, ...View.visibleTo(req.user) });
+
+const getTimezone = (req) => req.user.preferences.timezone || 'UTC';
+
+// Context the filters of a view are run in: "me" and dates refer to the caller, not the owner
+const getFilterContext = (req) => ({ timezone: getTimezone(req), user: req.user });
+
+// Number of tasks a view currently matches
+const countTasks = async (view, req) => Task.countDocuments(await buildTaskQuery(view.filters || {}, getFilterContext(req)));
+
+// Serialize views for a response, with their live task counts
+const presentViews = async (views, req) => {
+    const counts = await Promise.all(views.map(view => countTasks(view, req)));
+    return views.map((view, index) => ({
+        ...view.toJSON(),
+        isOwner: (view.populated('owner') || view.owner).equals(req.user._id),
+        count: counts[index]
+    }));
+};
+
+// Shared views are visible to the owner's current department, so sharing requires one
+const applyVisibility = (view, req, res) => {
+    if (view.visibility !== 'department') {
+        view.department = undefined;
+        return true;
+    }
+    if (!req.user.department) {
+        res.status(400).json({
+            success: false,
+            message: 'Set your department before sharing a view with it'
+        });
+        return false;
+    }
+    view.department = req.user.department;
+    return true;
+};
+
+const sendModelValidationError = (res, error) => res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+});
+
+const sendDuplicateName = (res) => res.status(409).json({
+    success: false,
+    message: 'You already have a view with this name'
+});
+
+const sendNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'View not found'
+});
+
+// @route   GET /api/views
+// @desc    List your views and those shared with your department, with the number of tasks each matches
+// @access  Private
+router.get('/', authorize('views', 'read'), async (req, res) => {
+    try {
+        const views = await View.find(View.visibleTo(req.user))
+            .populate('owner', 'name email')
+            .sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: await presentViews(views, req),
+            count: views.length
+        });
+    } catch (error) {
+        console.error('Error fetching views:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching views'
+        });
+    }
+});
+
+// @route   GET /api/views/:id
+// @desc    Get a view with the number of tasks it matches
+// @access  Private (owner, or the owner's department for shared views)
+router.get('/:id', viewValidationRules.getById, handleValidationErrors, authorize('views', 'read'), async (req, res) => {
+    try {
+        const view = await loadView(req).populate('owner', 'name email');
+        if (!view) {
+            return sendNotFound(res);
+        }
+
+        res.json({
+            success: true,
+            data: (await presentViews([view], req))[0]
+        });
+    } catch (error) {
+        console.error('Error fetching view:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching view'
+        });
+    }
+});
+
+// @route   GET /api/views/:id/tasks
+// @desc    Run a view: the tasks matching its filters, in its sort order, paged like GET /api/tasks.
+//          Tasks come with the view's columns unless fields picks others.
+// @access  Private (owner, or the owner's department for shared views)
+router.get('/:id/tasks', viewValidationRules.tasks, handleValidationErrors, authorize('views', 'read'), async (req, res) => {
+    try {
+        const view = await loadView(req);
+        if (!view) {
+            return sendNotFound(res);
+        }
+
+        const { page = 1, limit = 10, after, before } = req.query;
+        const fieldset = getFieldset('task', req.query, view.columns);
+        const results = await listTasks(
+            view.filters || {},
+            {
+                sortBy: view.sort && view.sort.by,
+                sortOrder: view.sort && view.sort.order,
+                limit: parseInt(limit),
+                page: parseInt(page),
+                after,
+                before,
+                count: shouldCount(req.query),
+                fieldset
+            },
+            getFilterContext(req)
+        );
+
+        res.json({
+            success: true,
+            view: {
+                _id: view._id,
+                name: view.name,
+                columns: view.columns
+            },
+            data: pickFieldset(await serializeTasks(results.items, getTimezone(req)), fieldset),
+            pagination: describePage(req, results, 'totalTasks')
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_CURSOR') {
+            return res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+        console.error('Error running view:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while running view'
+        });
+    }
+});
+
+// @route   POST /api/views
+// @desc    Save a view of the task list: filters, sort and columns, private or shared with your department
+// @access  Private
+router.post('/', viewValidationRules.create, handleValidationErrors, authorize('views', 'create'), async (req, res) => {
+    try {
+        const ownedCount = await View.countDocuments({ owner: req.user._id });
+        if (ownedCount >= viewConfig.maxViewsPerUser) {
+            return res.status(400).json({
+                success: false,
+                message: `You cannot have more than ${viewConfig.maxViewsPerUser} views`
+            });
+        }
+
+        const view = new View({
+            ...pickFields(req.body),
+            owner: req.user._id
+        });
+        if (!applyVisibility(view, req, res)) return;
+        await view.save();
+        await view.populate('owner', 'name email');
+
+        res.status(201).json({
+            success: true,
+            data: (await presentViews([view], req))[0],
+            message: 'View created successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendModelValidationError(res, error);
+        }
+        if (error.code === 11000) {
+            return sendDuplicateName(res);
+        }
+        console.error('Error creating view:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating view'
+        });
+    }
+});
+
+// @route   PUT /api/views/:id
+// @desc    Edit a view. Filters and sort are replaced as a whole when given.
+// @access  Private (owner)
+router.put('/:id', viewValidationRules.update, handleValidationErrors, authorize('views', 'update', loadView), async (req, res) => {
+    try {
+        const view = req.resource;
+        if (!view) {
+            return sendNotFound(res);
+        }
+
+        view.set(pickFields(req.body));
+        if (!applyVisibility(view, req, res)) return;
+        await view.save();
+        await view.populate('owner', 'name email');
+
+        res.json({
+            success: true,
+            data: (await presentViews([view], req))[0],
+            message: 'View updated successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendModelValidationError(res, error);
+        }
+        if (error.code === 11000) {
+            return sendDuplicateName(res);
+        }
+        console.error('Error updating view:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating view'
+        });
+    }
+});
+
+// @route   DELETE /api/views/:id
+// @desc    Delete a view
+// @access  Private (owner)
+router.delete('/:id', viewValidationRules.getById, handleValidationErrors, authorize('views', 'delete', loadView), async (req, res) => {
+    try {
+        const view = req.resource;
+        if (!view) {
+            return sendNotFound(res);
+        }
+
+        await view.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'View deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting view:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting view'
+        });
+    }
+});
+
+module.exports = router;
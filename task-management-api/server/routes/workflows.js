@@ -0,0 +1,184 @@
+const express = require('express');
+const Workflow = require('../models/Workflow');
+const Project = require('../models/Project');
+const { defaultWorkflow } = require('../config/workflows');
+const { authenticate } = require('../middleware/auth');
+const { authorize } = require('../middleware/authorize');
+const { workflowValidationRules, handleValidationErrors } = require('../middleware/validation');
+const router = express.Router();
+
+router.use(authenticate);
+
+// Fields a workflow can be created or edited with
+const editableFields = ['name', 'description', 'initialState', 'states', 'transitions'];
+
+const pickFields = (source) => {
+    return editableFields.reduce((acc, field) => {
+        if (source[field] !== undefined) acc[field] = source[field];
+        return acc;
+    }, {});
+};
+
+// States and transitions that pass request validation can still contradict each other
+const sendModelValidationError = (res, error) => res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: Object.values(error.errors).map(err => ({ field: err.path, message: err.message }))
+});
+
+const sendDuplicateName = (res) => res.status(409).json({
+    success: false,
+    message: 'A workflow with this name already exists'
+});
+
+const sendNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Workflow not found'
+});
+
+// @route   GET /api/workflows
+// @desc    List workflows, along with the default one used by projects without a workflow
+// @access  Private
+router.get('/', async (req, res) => {
+    try {
+        const workflows = await Workflow.find().sort({ name: 1 });
+
+        res.json({
+            success: true,
+            data: workflows,
+            default: defaultWorkflow,
+            count: workflows.length
+        });
+    } catch (error) {
+        console.error('Error fetching workflows:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching workflows'
+        });
+    }
+});
+
+// @route   GET /api/workflows/:id
+// @desc    Get a workflow with the projects that use it
+// @access  Private
+router.get('/:id', workflowValidationRules.getById, handleValidationErrors, async (req, res) => {
+    try {
+        const workflow = await Workflow.findById(req.params.id);
+        if (!workflow) {
+            return sendNotFound(res);
+        }
+
+        const projects = await Project.find({ workflow: workflow._id }).select('name status');
+
+        res.json({
+            success: true,
+            data: { ...workflow.toJSON(), projects }
+        });
+    } catch (error) {
+        console.error('Error fetching workflow:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while fetching workflow'
+        });
+    }
+});
+
+// @route   POST /api/workflows
+// @desc    Create a workflow from states, an initial state and transitions with optional guards
+// @access  Private (admin, manager)
+router.post('/', workflowValidationRules.create, handleValidationErrors, authorize('workflows', 'create'), async (req, res) => {
+    try {
+        const workflow = await Workflow.create({
+            ...pickFields(req.body),
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: workflow,
+            message: 'Workflow created successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendModelValidationError(res, error);
+        }
+        if (error.code === 11000) {
+            return sendDuplicateName(res);
+        }
+        console.error('Error creating workflow:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while creating workflow'
+        });
+    }
+});
+
+// @route   PUT /api/workflows/:id
+// @desc    Edit a workflow. Tasks in a state that no longer exists count as being in the
+//          first state with the same status.
+// @access  Private (admin, manager)
+router.put('/:id', workflowValidationRules.update, handleValidationErrors, authorize('workflows', 'update'), async (req, res) => {
+    try {
+        const workflow = await Workflow.findById(req.params.id);
+        if (!workflow) {
+            return sendNotFound(res);
+        }
+
+        // Save through the document so states and transitions are checked together
+        workflow.set(pickFields(req.body));
+        await workflow.save();
+
+        res.json({
+            success: true,
+            data: workflow,
+            message: 'Workflow updated successfully'
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return sendModelValidationError(res, error);
+        }
+        if (error.code === 11000) {
+            return sendDuplicateName(res);
+        }
+        console.error('Error updating workflow:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while updating workflow'
+        });
+    }
+});
+
+// @route   DELETE /api/workflows/:id
+// @desc    Delete a workflow that no project uses
+// @access  Private (admin)
+router.delete('/:id', workflowValidationRules.getById, handleValidationErrors, authorize('workflows', 'delete'), async (req, res) => {
+    try {
+        const workflow = await Workflow.findById(req.params.id);
+        if (!workflow) {
+            return sendNotFound(res);
+        }
+
+        const projectCount = await Project.countDocuments({ workflow: workflow._id });
+        if (projectCount > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `Workflow is used by ${projectCount} project(s); assign them another workflow first`
+            });
+        }
+
+        await workflow.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Workflow deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting workflow:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error while deleting workflow'
+        });
+    }
+});
+
+module.exports = router;
@@ -34,275 +34,69 @@ app.use(express.static(path.join(__dirname, 'public')));
 // MongoDB connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/taskmanager';
 mongoose.connect(MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    schedulePurge();
+    backfillSearchIndex().catch(err => console.error('Error backfilling search index:', err));
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
-// User Schema
-const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true, minlength: 3, maxlength: 30 },
-  email: { type: String, required: true, unique: true, match: /^\S+@\S+\.\S+$/ },
-  password: { type: String, required: true, minlength: 6 },
-  createdAt: { type: Date, default: Date.now },
-  isActive: { type: Boolean, default: true }
-});
-
-// Task Schema
-const taskSchema = new mongoose.Schema({
-  title: { type: String, required: true, maxlength: 200 },
-  description: { type: String, maxlength: 1000 },
-  priority: { type: String, enum: ['low', 'medium', 'high'], default: 'medium' },
-  status: { type: String, enum: ['pending', 'in-progress', 'completed'], default: 'pending' },
-  dueDate: { type: Date },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  createdAt: { type: Date, default: Date.now },
-  updatedAt: { type: Date, default: Date.now }
-});
-
-// Category Schema
-const categorySchema = new mongoose.Schema({
-  name: { type: String, required: true, unique: true, maxlength: 50 },
-  description: { type: String, maxlength: 200 },
-  color: { type: String, match: /^#[0-9A-F]{6}$/i, default: '#007bff' },
-  createdAt: { type: Date, default: Date.now }
-});
-
-// Project Schema
-const projectSchema = new mongoose.Schema({
-  name: { type: String, required: true, maxlength: 100 },
-  description: { type: String, maxlength: 500 },
-  status: { type: String, enum: ['active', 'completed', 'on-hold'], default: 'active' },
-  startDate: { type: Date, default: Date.now },
-  endDate: { type: Date },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  tasks: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Task' }],
-  createdAt: { type: Date, default: Date.now }
-});
-
-const User = mongoose.model('User', userSchema);
-const Task = mongoose.model('Task', taskSchema);
-const Category = mongoose.model('Category', categorySchema);
-const Project = mongoose.model('Project', projectSchema);
+// Models
+const User = require('./models/User');
+const Category = require('./models/Category');
+const Project = require('./models/Project');
+const Workflow = require('./models/Workflow');
+
+const { authenticate } = require('./middleware/auth');
+const { authorize, can, sendForbidden } = require('./middleware/authorize');
+const { projectValidationRules, handleValidationErrors } = require('./middleware/validation');
+const { recordActivity } = require('./services/activity');
+const { getPurgeDate, findTrashed, restoreRecord, schedulePurge } = require('./services/trash');
+const { backfillSearchIndex } = require('./services/search');
+const { paginate, shouldCount, describePage } = require('./utils/pagination');
+const { getFieldset, applyFieldset, pickFieldset } = require('./utils/fieldsets');
 
 // Middleware to handle async errors
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-// API Routes
-
-// 1. USERS API
-// GET /api/users - Get all users
-app.get('/api/users', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, status } = req.query;
-  const query = status ? { isActive: status === 'active' } : {};
-  
-  const users = await User.find(query)
-    .select('-password')
-    .limit(limit * 1)
-    .skip((page - 1) * limit)
-    .sort({ createdAt: -1 });
-  
-  const total = await User.countDocuments(query);
-  
-  res.json({
-    success: true,
-    data: users,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / limit)
-    }
-  });
-}));
-
-// POST /api/users - Create a new user
-app.post('/api/users', asyncHandler(async (req, res) => {
-  const { username, email, password } = req.body;
-  
-  if (!username || !email || !password) {
-    return res.status(400).json({
-      success: false,
-      message: 'Username, email, and password are required'
-    });
-  }
-  
-  const user = new User({ username, email, password });
-  await user.save();
-  
-  const userResponse = user.toObject();
-  delete userResponse.password;
-  
-  res.status(201).json({
-    success: true,
-    message: 'User created successfully',
-    data: userResponse
-  });
-}));
-
-// PUT /api/users/:id - Update a user
-app.put('/api/users/:id', asyncHandler(async (req, res) => {
-  const { username, email, isActive } = req.body;
-  
-  const user = await User.findByIdAndUpdate(
-    req.params.id,
-    { username, email, isActive },
-    { new: true, runValidators: true }
-  ).select('-password');
-  
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      message: 'User not found'
-    });
-  }
-  
-  res.json({
-    success: true,
-    message: 'User updated successfully',
-    data: user
-  });
-}));
-
-// DELETE /api/users/:id - Delete a user
-app.delete('/api/users/:id', asyncHandler(async (req, res) => {
-  const user = await User.findByIdAndDelete(req.params.id);
-  
-  if (!user) {
-    return res.status(404).json({
-      success: false,
-      message: 'User not found'
-    });
-  }
-  
-  // Also delete user's tasks and projects
-  await Task.deleteMany({ userId: req.params.id });
-  await Project.deleteMany({ userId: req.params.id });
-  
-  res.json({
-    success: true,
-    message: 'User and associated data deleted successfully'
-  });
-}));
+// Load the project addressed by :id for permission checks
+const loadProject = (req) => mongoose.isValidObjectId(req.params.id) ? Project.findById(req.params.id) : null;
 
-// 2. TASKS API
-// GET /api/tasks - Get all tasks with filtering
-app.get('/api/tasks', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, status, priority, userId } = req.query;
-  
-  let query = {};
-  if (status) query.status = status;
-  if (priority) query.priority = priority;
-  if (userId) query.userId = userId;
-  
-  const tasks = await Task.find(query)
-    .populate('userId', 'username email')
-    .limit(limit * 1)
-    .skip((page - 1) * limit)
-    .sort({ createdAt: -1 });
-  
-  const total = await Task.countDocuments(query);
-  
-  res.json({
-    success: true,
-    data: tasks,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / limit)
-    }
-  });
-}));
+// Load the project addressed by :id from the trash
+const loadTrashedProject = (req) => mongoose.isValidObjectId(req.params.id) ? findTrashed('project', req.params.id) : null;
 
-// POST /api/tasks - Create a new task
-app.post('/api/tasks', asyncHandler(async (req, res) => {
-  const { title, description, priority, status, dueDate, userId } = req.body;
-  
-  if (!title || !userId) {
-    return res.status(400).json({
+// A project's workflow must exist; null goes back to the default workflow
+const checkWorkflow = async (workflow, res) => {
+  if (workflow && !(mongoose.isValidObjectId(workflow) && await Workflow.exists({ _id: workflow }))) {
+    res.status(400).json({
       success: false,
-      message: 'Title and userId are required'
+      message: 'Workflow not found'
     });
+    return false;
   }
-  
-  // Verify user exists
-  const user = await User.findById(userId);
-  if (!user) {
-    return res.status(400).json({
-      success: false,
-      message: 'Invalid userId'
-    });
-  }
-  
-  const task = new Task({
-    title,
-    description,
-    priority,
-    status,
-    dueDate: dueDate ? new Date(dueDate) : undefined,
-    userId
-  });
-  
-  await task.save();
-  await task.populate('userId', 'username email');
-  
-  res.status(201).json({
-    success: true,
-    message: 'Task created successfully',
-    data: task
-  });
-}));
-
-// PUT /api/tasks/:id - Update a task
-app.put('/api/tasks/:id', asyncHandler(async (req, res) => {
-  const { title, description, priority, status, dueDate } = req.body;
-  
-  const task = await Task.findByIdAndUpdate(
-    req.params.id,
-    { 
-      title, 
-      description, 
-      priority, 
-      status, 
-      dueDate: dueDate ? new Date(dueDate) : undefined,
-      updatedAt: Date.now()
-    },
-    { new: true, runValidators: true }
-  ).populate('userId', 'username email');
-  
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: 'Task not found'
-    });
-  }
-  
-  res.json({
-    success: true,
-    message: 'Task updated successfully',
-    data: task
-  });
-}));
-
-// DELETE /api/tasks/:id - Delete a task
-app.delete('/api/tasks/:id', asyncHandler(async (req, res) => {
-  const task = await Task.findByIdAndDelete(req.params.id);
-  
-  if (!task) {
-    return res.status(404).json({
-      success: false,
-      message: 'Task not found'
-    });
-  }
-  
-  res.json({
-    success: true,
-    message: 'Task deleted successfully'
-  });
-}));
+  return true;
+};
 
-// 3. CATEGORIES API
+// API Routes
+app.use('/api/auth/2fa', require('./routes/twoFactor'));
+app.use('/api/auth', require('./routes/auth'));
+app.use('/api/tasks/:id/comments', require('./routes/comments'));
+app.use('/api/tasks/:id/attachments', require('./routes/attachments'));
+app.use('/api/tasks', require('./routes/tasks'));
+app.use('/api/users/me/api-keys', require('./routes/apiKeys'));
+app.use('/api/users/me/sessions', require('./routes/sessions'));
+app.use('/api/users/me/preferences', require('./routes/preferences'));
+app.use('/api/users', require('./routes/users'));
+app.use('/api/activity', require('./routes/activity'));
+app.use('/api/time-entries', require('./routes/timeEntries'));
+app.use('/api/trash', require('./routes/trash'));
+app.use('/api/workflows', require('./routes/workflows'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/views', require('./routes/views'));
+
+// 1. CATEGORIES API
 // GET /api/categories - Get all categories
 app.get('/api/categories', asyncHandler(async (req, res) => {
   const categories = await Category.find().sort({ name: 1 });
@@ -314,7 +108,7 @@ app.get('/api/categories', asyncHandler(async (req, res) => {
 }));
 
 // POST /api/categories - Create a new category
-app.post('/api/categories', asyncHandler(async (req, res) => {
+app.post('/api/categories', authenticate, authorize('categories', 'create'), asyncHandler(async (req, res) => {
   const { name, description, color } = req.body;
   
   if (!name) {
@@ -335,7 +129,7 @@ app.post('/api/categories', asyncHandler(async (req, res) => {
 }));
 
 // PUT /api/categories/:id - Update a category
-app.put('/api/categories/:id', asyncHandler(async (req, res) => {
+app.put('/api/categories/:id', authenticate, authorize('categories', 'update'), asyncHandler(async (req, res) => {
   const { name, description, color } = req.body;
   
   const category = await Category.findByIdAndUpdate(
@@ -358,9 +152,9 @@ app.put('/api/categories/:id', asyncHandler(async (req, res) => {
   });
 }));
 
-// DELETE /api/categories/:id - Delete a category
-app.delete('/api/categories/:id', asyncHandler(async (req, res) => {
-  const category = await Category.findByIdAndDelete(req.params.id);
+// DELETE /api/categories/:id - Move a category to the trash
+app.delete('/api/categories/:id', authenticate, authorize('categories', 'delete'), asyncHandler(async (req, res) => {
+  const category = mongoose.isValidObjectId(req.params.id) ? await Category.findById(req.params.id) : null;
   
   if (!category) {
     return res.status(404).json({
@@ -369,55 +163,101 @@ app.delete('/api/categories/:id', asyncHandler(async (req, res) => {
     });
   }
   
+  const deletedAt = new Date();
+  await Category.trashMany({ _id: category._id }, { actor: req.user._id, at: deletedAt });
+  
   res.json({
     success: true,
-    message: 'Category deleted successfully'
+    message: 'Category moved to trash',
+    data: { purgeAt: getPurgeDate(deletedAt) }
   });
 }));
 
-// 4. PROJECTS API
-// GET /api/projects - Get all projects
-app.get('/api/projects', asyncHandler(async (req, res) => {
-  const { page = 1, limit = 10, status, userId } = req.query;
+// POST /api/categories/:id/restore - Restore a category from the trash
+app.post('/api/categories/:id/restore', authenticate, authorize('categories', 'delete'), asyncHandler(async (req, res) => {
+  const category = mongoose.isValidObjectId(req.params.id) ? await findTrashed('category', req.params.id) : null;
+  
+  if (!category) {
+    return res.status(404).json({
+      success: false,
+      message: 'Category not found in trash'
+    });
+  }
+  
+  try {
+    await restoreRecord('category', category, req.user._id);
+  } catch (error) {
+    // Another category has taken the name in the meantime
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'A category with this name already exists'
+      });
+    }
+    throw error;
+  }
+  
+  res.json({
+    success: true,
+    message: 'Category restored successfully',
+    data: await Category.findById(category._id)
+  });
+}));
+
+// 2. PROJECTS API
+// GET /api/projects - Get all projects, by page number or by the after/before cursors of the next and prev links.
+// fields and expand pick the fields returned and the relations populated; the owner by default.
+app.get('/api/projects', projectValidationRules.query, handleValidationErrors, asyncHandler(async (req, res) => {
+  const { page = 1, limit = 10, after, before, status, userId } = req.query;
+  const fieldset = getFieldset('project', req.query);
   
   let query = {};
   if (status) query.status = status;
   if (userId) query.userId = userId;
   
-  const projects = await Project.find(query)
-    .populate('userId', 'username email')
-    .populate('tasks', 'title status priority')
-    .limit(limit * 1)
-    .skip((page - 1) * limit)
-    .sort({ createdAt: -1 });
-  
-  const total = await Project.countDocuments(query);
+  let results;
+  try {
+    results = await paginate(Project, query, {
+      sort: { field: 'createdAt', order: 'desc' },
+      limit: parseInt(limit),
+      page: parseInt(page),
+      after,
+      before,
+      count: shouldCount(req.query),
+      prepare: (projects) => applyFieldset(projects, 'project', fieldset)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
   
   res.json({
     success: true,
-    data: projects,
-    pagination: {
-      page: parseInt(page),
-      limit: parseInt(limit),
-      total,
-      pages: Math.ceil(total / limit)
-    }
+    data: pickFieldset(results.items, fieldset),
+    pagination: describePage(req, results, 'totalProjects')
   });
 }));
 
-// POST /api/projects - Create a new project
-app.post('/api/projects', asyncHandler(async (req, res) => {
-  const { name, description, status, startDate, endDate, userId } = req.body;
+// POST /api/projects - Create a new project, owned by the caller unless userId names someone
+// within the caller's create scope
+app.post('/api/projects', authenticate, authorize('projects', 'create'), asyncHandler(async (req, res) => {
+  const { name, description, status, startDate, endDate, workflow } = req.body;
+  const userId = req.body.userId || req.user._id;
   
-  if (!name || !userId) {
+  if (!name) {
     return res.status(400).json({
       success: false,
-      message: 'Project name and userId are required'
+      message: 'Project name is required'
     });
   }
   
   // Verify user exists
-  const user = await User.findById(userId);
+  const user = mongoose.isValidObjectId(userId) && await User.findById(userId);
   if (!user) {
     return res.status(400).json({
       success: false,
@@ -425,17 +265,25 @@ app.post('/api/projects', asyncHandler(async (req, res) => {
     });
   }
   
+  if (!(await can(req.user, 'projects', 'create', { userId: user._id }))) {
+    return sendForbidden(res, 'projects', 'create', 'You cannot create projects for this user');
+  }
+  
+  if (!(await checkWorkflow(workflow, res))) return;
+  
   const project = new Project({
     name,
     description,
     status,
     startDate: startDate ? new Date(startDate) : undefined,
     endDate: endDate ? new Date(endDate) : undefined,
-    userId
+    userId,
+    workflow: workflow || undefined
   });
   
   await project.save();
-  await project.populate('userId', 'username email');
+  await recordActivity({ resourceType: 'project', action: 'create', actor: req.user._id, after: project });
+  await project.populate('userId', 'name email');
   
   res.status(201).json({
     success: true,
@@ -445,19 +293,23 @@ app.post('/api/projects', asyncHandler(async (req, res) => {
 }));
 
 // PUT /api/projects/:id - Update a project
-app.put('/api/projects/:id', asyncHandler(async (req, res) => {
-  const { name, description, status, endDate } = req.body;
+app.put('/api/projects/:id', authenticate, authorize('projects', 'update', loadProject), asyncHandler(async (req, res) => {
+  const { name, description, status, endDate, workflow } = req.body;
+  
+  if (!(await checkWorkflow(workflow, res))) return;
   
+  // Tasks keep their state keys; ones the new workflow lacks count as its first state with the same status
   const project = await Project.findByIdAndUpdate(
     req.params.id,
     { 
       name, 
       description, 
       status, 
-      endDate: endDate ? new Date(endDate) : undefined
+      endDate: endDate ? new Date(endDate) : undefined,
+      workflow
     },
     { new: true, runValidators: true }
-  ).populate('userId', 'username email');
+  ).populate('userId', 'name email');
   
   if (!project) {
     return res.status(404).json({
@@ -466,6 +318,8 @@ app.put('/api/projects/:id', asyncHandler(async (req, res) => {
     });
   }
   
+  await recordActivity({ resourceType: 'project', action: 'update', actor: req.user._id, before: req.resource, after: project });
+  
   res.json({
     success: true,
     message: 'Project updated successfully',
@@ -473,9 +327,9 @@ app.put('/api/projects/:id', asyncHandler(async (req, res) => {
   });
 }));
 
-// DELETE /api/projects/:id - Delete a project
-app.delete('/api/projects/:id', asyncHandler(async (req, res) => {
-  const project = await Project.findByIdAndDelete(req.params.id);
+// DELETE /api/projects/:id - Move a project to the trash
+app.delete('/api/projects/:id', authenticate, authorize('projects', 'delete', loadProject), asyncHandler(async (req, res) => {
+  const project = req.resource;
   
   if (!project) {
     return res.status(404).json({
@@ -484,9 +338,42 @@ app.delete('/api/projects/:id', asyncHandler(async (req, res) => {
     });
   }
   
+  const deletedAt = new Date();
+  await Project.trashMany({ _id: project._id }, { actor: req.user._id, at: deletedAt });
+  await recordActivity({ resourceType: 'project', action: 'delete', actor: req.user._id, before: project });
+  
+  res.json({
+    success: true,
+    message: 'Project moved to trash',
+    data: { purgeAt: getPurgeDate(deletedAt) }
+  });
+}));
+
+// POST /api/projects/:id/restore - Restore a project from the trash
+app.post('/api/projects/:id/restore', authenticate, authorize('projects', 'delete', loadTrashedProject), asyncHandler(async (req, res) => {
+  const project = req.resource;
+  
+  if (!project) {
+    return res.status(404).json({
+      success: false,
+      message: 'Project not found in trash'
+    });
+  }
+  
+  if (project.deletedWith) {
+    return res.status(409).json({
+      success: false,
+      message: 'Project was deleted along with its owner; restore the owner instead',
+      deletedWith: project.deletedWith
+    });
+  }
+  
+  await restoreRecord('project', project, req.user._id);
+  
   res.json({
     success: true,
-    message: 'Project deleted successfully'
+    message: 'Project restored successfully',
+    data: await Project.findById(project._id).populate('userId', 'name email')
   });
 }));
 
@@ -498,29 +385,128 @@ app.get('/api/docs', (req, res) => {
     description: 'RESTful API for managing tasks, users, categories, and projects',
     baseURL: `http://localhost:${PORT}/api`,
     endpoints: {
+      auth: {
+        'POST /auth/register': 'Register a new account',
+        'POST /auth/login': 'Log in and receive access and refresh tokens',
+        'POST /auth/login/2fa': 'Complete a two-factor login with a code or recovery code',
+        'GET /auth/2fa': 'Get two-factor status',
+        'POST /auth/2fa/setup': 'Start two-factor enrollment (secret and otpauth URI)',
+        'POST /auth/2fa/enable': 'Confirm enrollment and receive recovery codes',
+        'POST /auth/2fa/recovery-codes': 'Regenerate recovery codes',
+        'POST /auth/2fa/disable': 'Disable two-factor authentication',
+        'POST /auth/refresh': 'Exchange a refresh token for a new token pair',
+        'POST /auth/logout': 'End the current session',
+        'GET /auth/verify-email?token=': 'Verify an email address',
+        'POST /auth/resend-verification': 'Resend the verification email (throttled)',
+        'POST /auth/forgot-password': 'Email a password reset link',
+        'POST /auth/reset-password': 'Reset the password with a reset token',
+        'GET /auth/me': 'Get the authenticated user'
+      },
       users: {
-        'GET /users': 'Get all users with pagination',
-        'POST /users': 'Create a new user',
-        'PUT /users/:id': 'Update a user by ID',
-        'DELETE /users/:id': 'Delete a user by ID'
+        'GET /users': 'Search users by relevance with role, department and isActive filters, paged by page or after/before cursors; fields picks fields (admin, manager)',
+        'GET /users/active': 'Get all active users (admin, manager)',
+        'GET /users/stats': 'Get user statistics (admin, manager)',
+        'GET /users/:id': 'Get a user by ID with task count; fields picks fields (admin, manager)',
+        'POST /users': 'Create a new user (admin)',
+        'PUT /users/:id': 'Update a user by ID (admin)',
+        'PATCH /users/:id/active': 'Toggle a user between active and inactive (admin)',
+        'PATCH /users/:id/unlock': 'Clear a login lockout (admin)',
+        'DELETE /users/:id': 'Move a user and their tasks and projects to the trash (admin)',
+        'POST /users/:id/restore': 'Restore a user with their tasks and projects from the trash (admin)'
+      },
+      preferences: {
+        'GET /users/me/preferences': 'Get your preferences',
+        'PATCH /users/me/preferences': 'Update theme, notifications or IANA timezone'
+      },
+      sessions: {
+        'GET /users/me/sessions': 'List your active sessions and devices',
+        'DELETE /users/me/sessions': 'Log out everywhere',
+        'DELETE /users/me/sessions/:id': 'Revoke a single session'
+      },
+      apiKeys: {
+        'GET /users/me/api-keys': 'List your API keys with last-used timestamps',
+        'POST /users/me/api-keys': 'Create a scoped API key (returned once)',
+        'DELETE /users/me/api-keys/:id': 'Revoke an API key'
       },
       tasks: {
-        'GET /tasks': 'Get all tasks with filtering options',
-        'POST /tasks': 'Create a new task',
-        'PUT /tasks/:id': 'Update a task by ID',
-        'DELETE /tasks/:id': 'Delete a task by ID'
+        'GET /tasks': 'Get all tasks with filtering options, including state, project, full-text search and a q filter such as "status:pending priority:>=high assignee:me", paged by page or after/before cursors; fields and expand pick fields and relations',
+        'GET /tasks/:id': 'Get a task by ID; fields and expand pick fields and relations',
+        'POST /tasks': 'Create a new task, starting in its project workflow\'s initial state (auth required)',
+        'PUT /tasks/:id': 'Update a task by ID (creator, assignee, department manager or admin)',
+        'PATCH /tasks/:id/status': 'Move a task to another workflow state, with a reason where required (creator, assignee, department manager or admin)',
+        'GET /tasks/:id/transitions': 'List the workflow states a task can move to right now (auth required)',
+        'POST /tasks/bulk': 'Set status, priority, assignee, tags or category on, or delete, tasks by ids or filter; dryRun previews (per task permissions)',
+        'DELETE /tasks/:id': 'Move a task to the trash; ?subtasks=cascade|orphan (creator, assignee, department manager or admin)',
+        'POST /tasks/:id/restore': 'Restore a task and its cascaded subtasks from the trash (creator, assignee, department manager or admin)',
+        'GET /tasks/:id/history': 'Get the change history of a task (owner, department manager or admin)',
+        'GET /tasks/:id/time-entries': 'Get the time logged on a task with totals against its estimate (auth required)',
+        'GET /tasks/:id/subtasks': 'Get the direct subtasks of a task',
+        'POST /tasks/:id/subtasks': 'Create a subtask (anyone who can update the parent)',
+        'GET /tasks/:id/series': 'Get the recurring series of a task and its occurrences',
+        'PUT /tasks/:id/series': 'Edit the whole recurring series (anyone who can update the task)',
+        'POST /tasks/:id/series/stop': 'Stop a recurring series (anyone who can update the task)',
+        'GET /tasks/:id/dependencies': 'Get the tasks blocking a task and the tasks it blocks',
+        'POST /tasks/:id/dependencies': 'Mark a task as blocked by another task (anyone who can update it)',
+        'DELETE /tasks/:id/dependencies/:blockerId': 'Remove a blocking task (anyone who can update it)',
+        'GET /tasks/stats/summary': 'Get task statistics'
+      },
+      attachments: {
+        'POST /tasks/:id/attachments': 'Upload a file in the multipart "file" field (anyone who can update the task)',
+        'GET /tasks/:id/attachments/:attachmentId': 'Download an attachment (auth required)',
+        'DELETE /tasks/:id/attachments/:attachmentId': 'Delete an attachment (anyone who can update the task)'
+      },
+      comments: {
+        'GET /tasks/:id/comments': 'Get the comments on a task, with replies nested under each',
+        'POST /tasks/:id/comments': 'Comment on a task, or reply with a parent comment ID (auth required)',
+        'PUT /tasks/:id/comments/:commentId': 'Edit a comment (author, manager or admin)',
+        'DELETE /tasks/:id/comments/:commentId': 'Delete a comment and its replies (author, manager or admin)'
       },
       categories: {
         'GET /categories': 'Get all categories',
-        'POST /categories': 'Create a new category',
-        'PUT /categories/:id': 'Update a category by ID',
-        'DELETE /categories/:id': 'Delete a category by ID'
+        'POST /categories': 'Create a new category (admin)',
+        'PUT /categories/:id': 'Update a category by ID (admin)',
+        'DELETE /categories/:id': 'Move a category to the trash (admin)',
+        'POST /categories/:id/restore': 'Restore a category from the trash (admin)'
       },
       projects: {
-        'GET /projects': 'Get all projects with filtering options',
-        'POST /projects': 'Create a new project',
-        'PUT /projects/:id': 'Update a project by ID',
-        'DELETE /projects/:id': 'Delete a project by ID'
+        'GET /projects': 'Get all projects with filtering options, paged by page or after/before cursors; fields and expand trim the payload',
+        'POST /projects': 'Create a new project, optionally with a workflow; owned by the caller unless userId is given (auth required)',
+        'PUT /projects/:id': 'Update a project or its workflow by ID (owner, department manager or admin)',
+        'DELETE /projects/:id': 'Move a project to the trash (owner, department manager or admin)',
+        'POST /projects/:id/restore': 'Restore a project from the trash (owner, department manager or admin)'
+      },
+      workflows: {
+        'GET /workflows': 'List workflows and the default one (auth required)',
+        'GET /workflows/:id': 'Get a workflow with the projects using it (auth required)',
+        'POST /workflows': 'Create a workflow of states, transitions and guards (admin, manager)',
+        'PUT /workflows/:id': 'Update a workflow (admin, manager)',
+        'DELETE /workflows/:id': 'Delete a workflow no project uses (admin)'
+      },
+      views: {
+        'GET /views': 'List your saved views and those shared with your department, with live task counts (auth required)',
+        'GET /views/:id': 'Get a saved view with its task count (auth required)',
+        'GET /views/:id/tasks': 'Run a saved view: its tasks with the view\'s columns, paged like GET /tasks (auth required)',
+        'POST /views': 'Save filters, sort and columns as a private or department view (auth required)',
+        'PUT /views/:id': 'Update a saved view (owner)',
+        'DELETE /views/:id': 'Delete a saved view (owner)'
+      },
+      timeEntries: {
+        'GET /time-entries': 'List time entries you may see; filter by task, user, billable, from, to (auth required)',
+        'GET /time-entries/current': 'Get your running timer',
+        'POST /time-entries': 'Log time by hand with startedAt and endedAt or durationMinutes',
+        'POST /time-entries/start': 'Start a timer on a task (one running timer per user)',
+        'POST /time-entries/stop': 'Stop your running timer',
+        'PUT /time-entries/:id': 'Edit a time entry (owner, department manager or admin)',
+        'DELETE /time-entries/:id': 'Delete a time entry (owner, department manager or admin)'
+      },
+      activity: {
+        'GET /activity': 'Feed of changes to the tasks and projects you may read; filter by resourceType, resource, actor, action, field, from, to (auth required)'
+      },
+      search: {
+        'GET /search': 'Search tasks, projects and users by relevance with highlighted snippets; q, types, limit (auth required)'
+      },
+      trash: {
+        'GET /trash': 'List deleted records you could have deleted, with their purge dates; filter by type (auth required)'
       }
     }
   });
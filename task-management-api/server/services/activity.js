@@ -0,0 +1,161 @@
+// Change history for tasks and projects
+//
+// Routes call recordActivity() after a successful write with the record as it was before
+// and after the change. Only the fields listed in trackedFields are diffed.
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const { buildOwnerFilter, hasScope } = require('../middleware/authorize');
+
+const trackedFields = {
+    task: [
+        'title', 'description', 'status', 'priority', 'category', 'dueDate', 'assignedTo',
+        'tags', 'estimatedHours', 'actualHours', 'parent', 'blockedBy', 'attachments', 'state', 'project'
+    ],
+    project: ['name', 'description', 'status', 'startDate', 'endDate', 'userId', 'workflow']
+};
+
+// Fields whose stored form is too detailed for a diff
+const fieldReaders = {
+    attachments: (record) => (record.attachments || []).map(attachment => attachment.filename)
+};
+
+// Reduce a value to plain JSON so it can be compared and stored; populated references become ids
+const normalize = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (value instanceof mongoose.Types.ObjectId) return String(value);
+    if (Array.isArray(value)) return Array.from(value, normalize);
+    if (typeof value === 'object' && value._id) return String(value._id);
+    return value;
+};
+
+const readField = (record, field) => {
+    if (!record) return null;
+    const reader = fieldReaders[field];
+    return normalize(reader ? reader(record) : record[field]);
+};
+
+const isEmpty = (value) => value === null || (Array.isArray(value) && value.length === 0);
+
+// Field-level changes between two versions of a record; either side may be null
+const diffRecords = (resourceType, before, after) => {
+    return trackedFields[resourceType]
+        .map(field => ({ field, before: readField(before, field), after: readField(after, field) }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after))
+        .filter(change => !(isEmpty(change.before) && isEmpty(change.after)));
+};
+
+const buildActivity = ({ resourceType, action, actor, before = null, after = null, reason }) => {
+    const record = after || before;
+    return {
+        resourceType,
+        resource: record._id,
+        resourceName: record.title || record.name,
+        action,
+        actor,
+        changes: diffRecords(resourceType, before, after),
+        reason
+    };
+};
+
+// Record changes to any number of records. Writes that changed no tracked field are skipped.
+// Failures are logged rather than thrown, since the change itself has already been saved.
+const recordActivities = async (entries) => {
+    const activities = entries
+        .map(buildActivity)
+        .filter(activity => activity.changes.length > 0);
+    if (!activities.length) {
+        return;
+    }
+
+    try {
+        await Activity.insertMany(activities);
+    } catch (error) {
+        console.error('Error recording activity:', error);
+    }
+};
+
+const recordActivity = (entry) => recordActivities([entry]);
+
+// MongoDB filter for the activity feed's query parameters
+const buildActivityFilter = ({ resourceType, resource, actor, action, field, from, to }) => {
+    const filter = {};
+    if (resourceType) filter.resourceType = resourceType;
+    if (resource) filter.resource = resource;
+    if (actor) filter.actor = actor;
+    if (action) filter.action = action;
+    if (field) filter['changes.field'] = field;
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        if (to) filter.createdAt.$lte = new Date(to);
+    }
+    return filter;
+};
+
+// Model and permission resource behind each type of record with a history
+const historyTypes = {
+    task: { model: Task, resource: 'tasks' },
+    project: { model: Project, resource: 'projects' }
+};
+
+// Filter for the activity a user may read, by their history scope for each type: all of it
+// for 'any', otherwise that of the records they (or their department) own, trashed or not.
+// The history of purged records is left to 'any' scope. API keys also need the read scope.
+const buildActivityScope = async (user, apiKey = null) => {
+    const conditions = await Promise.all(Object.entries(historyTypes).map(async ([resourceType, { model, resource }]) => {
+        if (apiKey && !hasScope(apiKey, resource, 'history')) {
+            return null;
+        }
+        const ownerFilter = await buildOwnerFilter(user, resource, 'history');
+        if (!ownerFilter) {
+            return null;
+        }
+        if (!ownerFilter.$or) {
+            return { resourceType };
+        }
+        const ids = await model.distinct('_id', ownerFilter).setOptions({ withDeleted: true });
+        return { resourceType, resource: { $in: ids } };
+    }));
+
+    const allowed = conditions.filter(Boolean);
+    return allowed.length ? { $or: allowed } : { _id: { $in: [] } };
+};
+
+// A page of activity, newest first
+const findActivity = async (filter, { page = 1, limit = 20 } = {}) => {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const [activities, total] = await Promise.all([
+        Activity.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('actor', 'name email'),
+        Activity.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+        activities,
+        pagination: {
+            currentPage: page,
+            totalPages,
+            total,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+        }
+    };
+};
+
+module.exports = {
+    recordActivity,
+    recordActivities,
+    diffRecords,
+    buildActivityFilter,
+    buildActivityScope,
+    findActivity
+};
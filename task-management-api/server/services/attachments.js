@@ -0,0 +1,25 @@
+// Attachment file lifecycle shared by the attachment and task routes
+const Task = require('../models/Task');
+const { removeFile } = require('./storage');
+
+// Remove stored files that no remaining task attachment refers to, counting tasks in the trash.
+// Run after the attachments or tasks referring to them have been deleted. An upload that reuses
+// a file while it is being removed stores it again once its attachment is saved.
+const releaseFiles = async (hashes) => {
+    const unique = [...new Set(hashes.filter(Boolean))];
+    if (!unique.length) {
+        return;
+    }
+
+    const stillUsed = await Task.distinct('attachments.hash', { 'attachments.hash': { $in: unique } })
+        .setOptions({ withDeleted: true });
+    await Promise.all(unique
+        .filter(hash => !stillUsed.includes(hash))
+        .map(hash => removeFile(hash).catch(error => {
+            console.error(`Error removing stored file ${hash}:`, error);
+        })));
+};
+
+module.exports = {
+    releaseFiles
+};
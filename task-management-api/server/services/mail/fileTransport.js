@@ -0,0 +1,25 @@
+// Mail transport that writes each message to disk and logs it to the console.
+// Intended for local development and tests.
+const fs = require('fs/promises');
+const path = require('path');
+
+const createFileTransport = ({ dir }) => {
+    const outputDir = path.resolve(dir);
+
+    return {
+        name: 'file',
+
+        async send(message) {
+            await fs.mkdir(outputDir, { recursive: true });
+
+            const filename = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+            const filePath = path.join(outputDir, filename);
+            await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+
+            console.log(`📧 Mail to ${message.to}: "${message.subject}" (saved to ${filePath})`);
+            return { id: filename };
+        }
+    };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,59 @@
+// Mail service
+//
+// A transport is any object with `name` and `async send({ from, to, subject, text, html })`.
+// The active transport is chosen by MAIL_TRANSPORT and can be replaced with setTransport().
+const mailConfig = require('../../config/mail');
+const createFileTransport = require('./fileTransport');
+const createSmtpTransport = require('./smtpTransport');
+const templates = require('./templates');
+
+const transportFactories = {
+    file: () => createFileTransport(mailConfig.file),
+    smtp: () => createSmtpTransport(mailConfig.smtp)
+};
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        const factory = transportFactories[mailConfig.transport];
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${mailConfig.transport}`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+const sendMail = (message) => {
+    return getTransport().send({ from: mailConfig.from, ...message });
+};
+
+// Render a named template and send it
+const sendTemplate = (name, to, data) => {
+    return sendMail({ to, ...templates[name](data) });
+};
+
+const buildLink = (baseUrl, pathname, params) => {
+    const url = new URL(pathname, baseUrl);
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+};
+
+// Build an absolute link into the frontend
+const buildAppLink = (pathname, params = {}) => buildLink(mailConfig.appUrl, pathname, params);
+
+// Build an absolute link to an endpoint of this API
+const buildApiLink = (pathname, params = {}) => buildLink(mailConfig.apiUrl, pathname, params);
+
+module.exports = {
+    sendMail,
+    sendTemplate,
+    setTransport,
+    buildAppLink,
+    buildApiLink
+};
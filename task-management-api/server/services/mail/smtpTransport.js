@@ -0,0 +1,22 @@
+// Mail transport that relays messages over SMTP, e.g. to a local mail sink
+const nodemailer = require('nodemailer');
+
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { id: info.messageId };
+        }
+    };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,30 @@
+// Plain text bodies for outgoing mail
+const passwordReset = ({ user, link, expiresInMinutes }) => ({
+    subject: 'Reset your password',
+    text: [
+        `Hi ${user.name},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        link,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+    ].join('\n')
+});
+
+const emailVerification = ({ user, link, expiresIn }) => ({
+    subject: 'Verify your email address',
+    text: [
+        `Hi ${user.name},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        link,
+        '',
+        `This link expires in ${expiresIn}.`
+    ].join('\n')
+});
+
+module.exports = {
+    passwordReset,
+    emailVerification
+};
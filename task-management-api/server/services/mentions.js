@@ -0,0 +1,53 @@
+// Resolve @name mentions in free text against User records
+const User = require('../models/User');
+
+// An @ at the start of the text or after whitespace, followed by up to three words,
+// since names such as "@Jane Smith" contain spaces
+const MENTION_PATTERN = /(^|\s)@([^\s@]+(?:[ \t]+[^\s@]+){0,2})/g;
+const TRAILING_PUNCTUATION = /[.,!?;:)\]'"]+$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Candidate names for each mention, longest first: "@Jane Smith said" gives
+// ["Jane Smith said", "Jane Smith", "Jane"]
+const extractMentionCandidates = (text) => {
+    return [...String(text || '').matchAll(MENTION_PATTERN)].map(match => {
+        const words = match[2].split(/\s+/);
+        return words
+            .map((word, index) => words.slice(0, words.length - index).join(' ').replace(TRAILING_PUNCTUATION, ''))
+            .filter(Boolean);
+    });
+};
+
+// Ids of the active users mentioned in the text. Names match case-insensitively and
+// the longest name that matches wins, so "@Jane Smith" prefers Jane Smith over a Jane.
+const resolveMentions = async (text) => {
+    const mentions = extractMentionCandidates(text);
+    const candidates = [...new Set(mentions.flat().map(name => name.toLowerCase()))];
+    if (!candidates.length) {
+        return [];
+    }
+
+    const users = await User.find({
+        name: { $in: candidates.map(name => new RegExp(`^${escapeRegExp(name)}$`, 'i')) },
+        isActive: true
+    }).select('name');
+
+    const usersByName = new Map();
+    users.forEach(user => {
+        const name = user.name.toLowerCase();
+        usersByName.set(name, [...(usersByName.get(name) || []), user._id]);
+    });
+
+    const ids = new Set();
+    mentions.forEach(names => {
+        const match = names.find(name => usersByName.has(name.toLowerCase()));
+        if (match) usersByName.get(match.toLowerCase()).forEach(id => ids.add(String(id)));
+    });
+    return [...ids];
+};
+
+module.exports = {
+    extractMentionCandidates,
+    resolveMentions
+};
@@ -0,0 +1,91 @@
+// Search across tasks, projects and users, ranked by relevance with highlighted snippets.
+// Matching and scoring come from the MongoDB text indexes set up by plugins/searchable.
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const searchConfig = require('../config/search');
+const { parseSearchQuery, buildHighlightPattern, buildSnippet } = require('../utils/search');
+
+const textScore = { score: { $meta: 'textScore' } };
+
+// Per type: the model, the fields returned for each result and the fields snippets are taken from
+const searchTypes = {
+    task: {
+        model: Task,
+        select: 'title description tags status state priority dueDate project +commentText',
+        highlightFields: ['title', 'description', 'tags', 'commentText']
+    },
+    project: {
+        model: Project,
+        select: 'name description status',
+        highlightFields: ['name', 'description']
+    },
+    user: {
+        model: User,
+        select: 'name email department position role',
+        highlightFields: ['name', 'email', 'department', 'position']
+    }
+};
+
+// Snippets of the fields a record matched in; comment text is reported as the comments field
+const getHighlights = (record, fields, pattern) => fields
+    .map(field => {
+        const value = Array.isArray(record[field]) ? record[field].join(', ') : record[field];
+        return { field: field === 'commentText' ? 'comments' : field, snippet: buildSnippet(value, pattern) };
+    })
+    .filter(highlight => highlight.snippet);
+
+// Best matches of one type for a parsed query
+const searchType = async (type, parsed, pattern, limit) => {
+    const { model, select, highlightFields } = searchTypes[type];
+    const filter = await model.buildSearchFilter(parsed);
+    if (!filter) {
+        return [];
+    }
+
+    const records = await model.find(filter, textScore)
+        .select(select)
+        .sort(textScore)
+        .limit(limit)
+        .lean();
+
+    return records.map(({ score, commentText, ...record }) => ({
+        ...record,
+        score: Math.round(score * 100) / 100,
+        highlights: getHighlights({ ...record, commentText }, highlightFields, pattern)
+    }));
+};
+
+// Search the given types, returning { task: [...], project: [...], user: [...] } for those types
+const search = async (query, { types = Object.keys(searchTypes), limit = searchConfig.defaultLimit } = {}) => {
+    const parsed = parseSearchQuery(query);
+    const pattern = buildHighlightPattern(parsed);
+    const results = await Promise.all(types.map(type => searchType(type, parsed, pattern, limit)));
+    return Object.fromEntries(types.map((type, index) => [type, results[index]]));
+};
+
+// Fill in what plugins/searchable needs for records written before search existed
+const backfillSearchIndex = async () => {
+    const commentedTaskIds = await Comment.distinct('task');
+    const missingCommentText = await Task.find({ _id: { $in: commentedTaskIds }, commentText: { $exists: false } })
+        .setOptions({ withDeleted: true })
+        .distinct('_id');
+    for (const taskId of missingCommentText) {
+        await Comment.syncTaskCommentText(taskId);
+    }
+
+    const counts = await Promise.all(
+        Object.values(searchTypes).map(({ model }) => model.refreshSearchTokens({ searchTokens: { $exists: false } }))
+    );
+    const total = counts.reduce((sum, count) => sum + count, 0) + missingCommentText.length;
+    if (total > 0) {
+        console.log(`Search index backfilled for ${total} record(s)`);
+    }
+};
+
+module.exports = {
+    searchTypes,
+    search,
+    backfillSearchIndex
+};
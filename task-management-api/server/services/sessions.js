@@ -0,0 +1,42 @@
+// Login session helpers: create a session per device and rotate its refresh token
+const Session = require('../models/Session');
+const { generateAuthTokens, getTokenExpiry, hashToken } = require('../utils/tokens');
+
+// Store the hash of the newly issued refresh token so older ones stop working
+const issueTokens = async (user, session) => {
+    const tokens = generateAuthTokens(user, session);
+
+    session.refreshTokenHash = hashToken(tokens.refreshToken);
+    session.expiresAt = getTokenExpiry(tokens.refreshToken);
+    await session.save();
+
+    return tokens;
+};
+
+// Start a session for a login on the requesting device
+const startSession = (user, req) => {
+    const session = new Session({
+        user: user._id,
+        userAgent: (req.get('User-Agent') || '').slice(0, 500),
+        ip: req.ip
+    });
+    return issueTokens(user, session);
+};
+
+// Exchange a refresh token for a new pair. Presenting a refresh token that was already
+// rotated away means it leaked, so the whole session is revoked.
+const rotateSession = async (session, user, refreshToken, req) => {
+    if (session.refreshTokenHash !== hashToken(refreshToken)) {
+        await session.revoke();
+        return null;
+    }
+
+    session.lastSeenAt = new Date();
+    session.ip = req.ip;
+    return issueTokens(user, session);
+};
+
+module.exports = {
+    startSession,
+    rotateSession
+};
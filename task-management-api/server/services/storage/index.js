@@ -0,0 +1,53 @@
+// Storage service for task attachments
+//
+// A driver is any object with `name` and the async methods `put(key, buffer)`, `exists(key)`,
+// `createReadStream(key)` and `remove(key)`. Files are stored under the SHA-256 hash of their
+// content, so identical uploads share one stored file. The active driver is chosen by
+// STORAGE_DRIVER and can be replaced with setDriver().
+const crypto = require('crypto');
+const storageConfig = require('../../config/storage');
+const createLocalDriver = require('./localDriver');
+
+const driverFactories = {
+    local: () => createLocalDriver(storageConfig.local)
+};
+
+let driver = null;
+
+const getDriver = () => {
+    if (!driver) {
+        const factory = driverFactories[storageConfig.driver];
+        if (!factory) {
+            throw new Error(`Unknown storage driver: ${storageConfig.driver}`);
+        }
+        driver = factory();
+    }
+    return driver;
+};
+
+const setDriver = (customDriver) => {
+    driver = customDriver;
+};
+
+const hashContent = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Store a file unless identical content is already stored; returns its content hash
+const storeFile = async (buffer) => {
+    const hash = hashContent(buffer);
+    if (!(await getDriver().exists(hash))) {
+        await getDriver().put(hash, buffer);
+    }
+    return hash;
+};
+
+const openFile = (hash) => getDriver().createReadStream(hash);
+
+const removeFile = (hash) => getDriver().remove(hash);
+
+module.exports = {
+    storeFile,
+    openFile,
+    removeFile,
+    hashContent,
+    setDriver
+};
@@ -0,0 +1,50 @@
+// Storage driver that keeps files on local disk, fanned out into subdirectories
+// by the first characters of their key so no single directory grows too large.
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+const createLocalDriver = ({ dir }) => {
+    const rootDir = path.resolve(dir);
+
+    const resolveKey = (key) => {
+        if (!/^[\w-]+$/.test(key)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return path.join(rootDir, key.slice(0, 2), key);
+    };
+
+    return {
+        name: 'local',
+
+        async put(key, buffer) {
+            const filePath = resolveKey(key);
+            await fsp.mkdir(path.dirname(filePath), { recursive: true });
+            // Write to a temporary name first so readers never see a partial file
+            const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+            await fsp.writeFile(tempPath, buffer);
+            await fsp.rename(tempPath, filePath);
+        },
+
+        async exists(key) {
+            try {
+                await fsp.access(resolveKey(key));
+                return true;
+            } catch (error) {
+                return false;
+            }
+        },
+
+        async createReadStream(key) {
+            const filePath = resolveKey(key);
+            await fsp.access(filePath);
+            return fs.createReadStream(filePath);
+        },
+
+        async remove(key) {
+            await fsp.rm(resolveKey(key), { force: true });
+        }
+    };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,105 @@
+// Task list queries shared by the task and view routes
+const Task = require('../models/Task');
+const { getDayBounds } = require('../utils/timezone');
+const { parseTaskFilter, buildTaskFilter } = require('../utils/taskFilter');
+const { paginate } = require('../utils/pagination');
+const { getFieldset, applyFieldset } = require('../utils/fieldsets');
+
+// Boolean filters arrive as strings in query parameters and as booleans in JSON bodies
+const isTrue = (value) => value === true || value === 'true';
+
+// Serialize tasks for a response, with dates in a timezone and subtask rollups
+const serializeTasks = async (tasks, timezone) => {
+    const taskIds = tasks.map(task => task._id);
+    const [rollups, blockers] = await Promise.all([
+        Task.getSubtaskRollups(taskIds),
+        Task.getBlockers(tasks)
+    ]);
+    return tasks.map(task => {
+        const blockedBy = blockers.get(String(task._id));
+        return {
+            ...task.toLocalJSON(timezone),
+            rollup: rollups.get(String(task._id)),
+            blockedBy,
+            isBlocked: blockedBy.some(blocker => blocker.isOpen)
+        };
+    });
+};
+
+// MongoDB query for the task list filters, shared by the list, bulk and view endpoints. q is a
+// filter in the language of utils/taskFilter, already checked by the validation rules.
+const buildTaskQuery = async ({ q, status, state, project, priority, category, assignedTo, search, overdue, dueToday, blocked }, { timezone, user }) => {
+    const query = {};
+
+    if (status) query.status = status;
+    if (state) query.state = state;
+    if (project) query.project = project;
+    if (priority) query.priority = priority;
+    if (category) query.category = category;
+    if (assignedTo) query.assignedTo = assignedTo;
+
+    // Handle search over title, description, tags and comments; a query with no words matches nothing
+    if (search) {
+        Object.assign(query, (await Task.buildSearchFilter(search)) || { _id: { $in: [] } });
+    }
+
+    // Handle overdue filter
+    if (isTrue(overdue)) {
+        query.dueDate = { $lt: new Date() };
+        query.status = { $ne: 'completed' };
+    }
+
+    // Handle due today filter using the caller's local calendar day
+    if (isTrue(dueToday)) {
+        const { start, end } = getDayBounds(new Date(), timezone);
+        query.$and = [{ dueDate: { $gte: start, $lt: end } }];
+    }
+
+    // Handle blocked filter: tasks waiting on at least one open blocker, or none
+    if (blocked !== undefined) {
+        const openBlockerIds = await Task.getOpenBlockerIds();
+        query.blockedBy = isTrue(blocked) ? { $in: openBlockerIds } : { $nin: openBlockerIds };
+    }
+
+    // Handle the filter language, on top of the filters above
+    if (q) {
+        const filter = await buildTaskFilter(parseTaskFilter(q), {
+            userId: user && user._id,
+            timezone,
+            getOpenBlockerIds: () => Task.getOpenBlockerIds()
+        });
+        if (filter.$and) {
+            query.$and = [...(query.$and || []), ...filter.$and];
+        }
+    }
+
+    return query;
+};
+
+// One page of the tasks matching the list filters, in the format of utils/pagination, fetched
+// for a fieldset of utils/fieldsets. Searches sort best match first unless another sortBy is given.
+const listTasks = async (filters, { sortBy, sortOrder = 'desc', limit, page, after, before, count, fieldset = getFieldset('task', {}) }, context) => {
+    const query = await buildTaskQuery(filters, context);
+    const by = sortBy || (filters.search ? 'relevance' : 'createdAt');
+
+    // Without a search there is no relevance to go by, so newest first
+    const sort = by === 'relevance'
+        ? { field: 'createdAt', order: 'desc', relevance: Boolean(query.$text) }
+        : { field: by, order: sortOrder };
+
+    return paginate(Task, query, {
+        sort,
+        limit,
+        page,
+        after,
+        before,
+        count,
+        prepare: (tasks) => applyFieldset(tasks, 'task', fieldset)
+    });
+};
+
+module.exports = {
+    serializeTasks,
+    buildTaskQuery,
+    listTasks
+};
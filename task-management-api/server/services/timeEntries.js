@@ -0,0 +1,74 @@
+// Time entry queries shared by the time entry and task routes
+const mongoose = require('mongoose');
+const TimeEntry = require('../models/TimeEntry');
+const User = require('../models/User');
+const { can, getScope } = require('../middleware/authorize');
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+// Build the filter for a time entry listing, limited to the entries the caller may read.
+// Returns null when the caller asked for another user's entries they cannot see.
+// Ids are cast up front because the filter is also used in aggregations.
+const buildEntryFilter = async (currentUser, { task, user, from, to, billable }) => {
+    const filter = {};
+    if (task) filter.task = toObjectId(task);
+    if (billable !== undefined) filter.billable = billable === 'true';
+    if (from || to) {
+        filter.startedAt = {};
+        if (from) filter.startedAt.$gte = new Date(from);
+        if (to) filter.startedAt.$lt = new Date(to);
+    }
+
+    if (user) {
+        if (!(await can(currentUser, 'timeEntries', 'read', { user: toObjectId(user) }))) {
+            return null;
+        }
+        filter.user = toObjectId(user);
+        return filter;
+    }
+
+    const scope = getScope(currentUser, 'timeEntries', 'read');
+    if (scope === 'own') {
+        filter.user = currentUser._id;
+    } else if (scope === 'department') {
+        const departmentUserIds = currentUser.department
+            ? await User.distinct('_id', { department: currentUser.department })
+            : [];
+        filter.user = { $in: [currentUser._id, ...departmentUserIds] };
+    }
+    return filter;
+};
+
+// A page of entries, newest first, with totals over the whole filter
+const listEntries = async (filter, { page = 1, limit = 50 } = {}) => {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const [entries, totals] = await Promise.all([
+        TimeEntry.find(filter)
+            .sort({ startedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .populate('task', 'title estimatedHours actualHours')
+            .populate('user', 'name email'),
+        TimeEntry.getTotals(filter)
+    ]);
+    const totalPages = Math.ceil(totals.entries / limit);
+
+    return {
+        entries,
+        totals,
+        pagination: {
+            currentPage: page,
+            totalPages,
+            total: totals.entries,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+        }
+    };
+};
+
+module.exports = {
+    buildEntryFilter,
+    listEntries
+};
@@ -0,0 +1,201 @@
+// Trash for soft-deleted tasks, projects, categories and users
+//
+// Deleting one of these moves it to the trash (see models/plugins/softDelete), along with the
+// records that depend on it. Restoring it brings them back. purgeExpired() removes records that
+// have been in the trash longer than the retention period, with the cleanup a delete used to do.
+const Task = require('../models/Task');
+const Project = require('../models/Project');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const TimeEntry = require('../models/TimeEntry');
+const Session = require('../models/Session');
+const ApiKey = require('../models/ApiKey');
+const View = require('../models/View');
+const trashConfig = require('../config/trash');
+const { buildOwnerFilter } = require('../middleware/authorize');
+const { releaseFiles } = require('./attachments');
+const { recordActivities } = require('./activity');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Trashable record types, with the permission resource that governs them and the field that names them
+const trashTypes = {
+    task: { model: Task, resource: 'tasks', nameField: 'title' },
+    project: { model: Project, resource: 'projects', nameField: 'name' },
+    category: { model: Category, resource: 'categories', nameField: 'name' },
+    user: { model: User, resource: 'users', nameField: 'name' }
+};
+
+// Types whose changes are kept in the activity history
+const trackedTypes = ['task', 'project'];
+
+const isTrashed = { deletedAt: { $ne: null } };
+
+const getPurgeDate = (deletedAt) => new Date(deletedAt.getTime() + trashConfig.retentionDays * DAY_MS);
+
+// Find a record of a type in the trash
+const findTrashed = (type, id) => trashTypes[type].model.findOne({ _id: id, ...isTrashed });
+
+// Number of dependents trashed along with each of the given records, keyed by record id
+const countDependents = async (ids) => {
+    const counts = new Map(ids.map(id => [String(id), 0]));
+    await Promise.all(Object.values(trashTypes).map(async ({ model }) => {
+        const results = await model.aggregate([
+            { $match: { deletedWith: { $in: ids }, ...isTrashed } },
+            { $group: { _id: '$deletedWith', count: { $sum: 1 } } }
+        ]);
+        results.forEach(result => counts.set(String(result._id), counts.get(String(result._id)) + result.count));
+    }));
+    return counts;
+};
+
+// A page of records deleted directly (not along with another record), newest first,
+// across the requested types the caller could have deleted
+const listTrash = async (user, { type, page = 1, limit = 20 } = {}) => {
+    page = parseInt(page);
+    limit = parseInt(limit);
+
+    const types = type ? [type] : Object.keys(trashTypes);
+    const pages = await Promise.all(types.map(async (name) => {
+        const { model, resource } = trashTypes[name];
+        const ownerFilter = await buildOwnerFilter(user, resource, 'delete');
+        if (!ownerFilter) {
+            return { records: [], total: 0 };
+        }
+
+        const filter = { ...isTrashed, deletedWith: null, ...ownerFilter };
+        const [records, total] = await Promise.all([
+            model.find(filter)
+                .sort({ deletedAt: -1 })
+                .limit(page * limit)
+                .populate('deletedBy', 'name email'),
+            model.countDocuments(filter)
+        ]);
+        return { records: records.map(record => ({ type: name, record })), total };
+    }));
+
+    const items = pages
+        .flatMap(result => result.records)
+        .sort((a, b) => b.record.deletedAt - a.record.deletedAt)
+        .slice((page - 1) * limit, page * limit);
+    const dependents = await countDependents(items.map(item => item.record._id));
+    const total = pages.reduce((sum, result) => sum + result.total, 0);
+    const totalPages = Math.ceil(total / limit);
+
+    return {
+        items: items.map(({ type: name, record }) => ({
+            type: name,
+            _id: record._id,
+            name: record[trashTypes[name].nameField],
+            deletedAt: record.deletedAt,
+            deletedBy: record.deletedBy,
+            purgeAt: getPurgeDate(record.deletedAt),
+            dependents: dependents.get(String(record._id))
+        })),
+        pagination: {
+            currentPage: page,
+            totalPages,
+            total,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1
+        }
+    };
+};
+
+// Restore a record deleted directly, with every record trashed along with it.
+// Returns how many records of each type came back, the record itself included.
+const restoreRecord = async (type, record, actor) => {
+    const restored = {};
+    const activities = [];
+
+    for (const [name, { model }] of Object.entries(trashTypes)) {
+        const dependents = await model.find({ deletedWith: record._id, ...isTrashed });
+        await model.restoreMany({ deletedWith: record._id });
+        restored[name] = dependents.length;
+        if (trackedTypes.includes(name)) {
+            activities.push(...dependents.map(after => ({ resourceType: name, action: 'restore', actor, after })));
+        }
+    }
+
+    await trashTypes[type].model.restoreMany({ _id: record._id });
+    restored[type]++;
+    if (trackedTypes.includes(type)) {
+        activities.push({ resourceType: type, action: 'restore', actor, after: record });
+    }
+
+    // A task whose parent is still in the trash, or gone, comes back as a top-level task
+    if (type === 'task' && record.parent && !(await Task.exists({ _id: record.parent }))) {
+        await Task.updateOne({ _id: record._id }, { $unset: { parent: 1 } });
+    }
+
+    await recordActivities(activities);
+    return restored;
+};
+
+// Permanently remove records that have been in the trash longer than the retention period.
+// Returns how many records of each type were purged.
+const purgeExpired = async (now = new Date()) => {
+    const expired = { deletedAt: { $lt: new Date(now.getTime() - trashConfig.retentionDays * DAY_MS) } };
+
+    const tasks = await Task.find(expired).select('attachments');
+    const taskIds = tasks.map(task => task._id);
+    const { deletedCount: taskCount } = await Task.deleteMany({ _id: { $in: taskIds } });
+
+    // Purged tasks no longer block or parent any task, trashed or not
+    await Task.updateMany(
+        { blockedBy: { $in: taskIds } },
+        { $pull: { blockedBy: { $in: taskIds } } }
+    ).setOptions({ withDeleted: true });
+    await Task.updateMany({ parent: { $in: taskIds } }, { $unset: { parent: 1 } }).setOptions({ withDeleted: true });
+    await Project.updateMany(
+        { tasks: { $in: taskIds } },
+        { $pull: { tasks: { $in: taskIds } } }
+    ).setOptions({ withDeleted: true });
+    await Comment.deleteMany({ task: { $in: taskIds } });
+    await TimeEntry.deleteMany({ task: { $in: taskIds } });
+    await releaseFiles(tasks.flatMap(task => task.attachments.map(attachment => attachment.hash)));
+
+    const userIds = await User.distinct('_id', expired);
+    const { deletedCount: userCount } = await User.deleteMany({ _id: { $in: userIds } });
+    await Session.deleteMany({ user: { $in: userIds } });
+    await ApiKey.deleteMany({ user: { $in: userIds } });
+    await View.deleteMany({ owner: { $in: userIds } });
+
+    const projectIds = await Project.distinct('_id', expired);
+    const [{ deletedCount: projectCount }, { deletedCount: categoryCount }] = await Promise.all([
+        Project.deleteMany({ _id: { $in: projectIds } }),
+        Category.deleteMany(expired)
+    ]);
+    // Tasks that outlive their project, trashed or not, no longer belong to one
+    await Task.updateMany({ project: { $in: projectIds } }, { $unset: { project: 1 } }).setOptions({ withDeleted: true });
+
+    return { task: taskCount, project: projectCount, category: categoryCount, user: userCount };
+};
+
+// Purge expired records now and then every purgeIntervalMinutes; failures are logged
+const schedulePurge = () => {
+    const run = async () => {
+        try {
+            const purged = await purgeExpired();
+            if (Object.values(purged).some(count => count > 0)) {
+                console.log('Purged expired records from the trash:', purged);
+            }
+        } catch (error) {
+            console.error('Error purging trash:', error);
+        }
+    };
+
+    run();
+    return setInterval(run, trashConfig.purgeIntervalMinutes * 60 * 1000).unref();
+};
+
+module.exports = {
+    trashTypes,
+    getPurgeDate,
+    findTrashed,
+    listTrash,
+    restoreRecord,
+    purgeExpired,
+    schedulePurge
+};
@@ -0,0 +1,30 @@
+// Email verification helpers shared by registration and admin-created accounts
+const authConfig = require('../config/auth');
+const { sendTemplate, buildApiLink } = require('./mail');
+const { generateEmailVerificationToken } = require('../utils/tokens');
+
+// Send a signed verification link, straight to GET /api/auth/verify-email, and record when it went out for resend throttling
+const sendVerificationEmail = async (user) => {
+    const token = generateEmailVerificationToken(user);
+
+    user.verificationSentAt = new Date();
+    await user.save();
+
+    await sendTemplate('emailVerification', user.email, {
+        user,
+        link: buildApiLink('/api/auth/verify-email', { token }),
+        expiresIn: authConfig.emailVerificationExpiresIn
+    });
+};
+
+// Seconds left before another verification email may be sent
+const getResendCooldown = (user) => {
+    if (!user.verificationSentAt) return 0;
+    const elapsed = (Date.now() - user.verificationSentAt.getTime()) / 1000;
+    return Math.max(0, Math.ceil(authConfig.emailVerificationResendSeconds - elapsed));
+};
+
+module.exports = {
+    sendVerificationEmail,
+    getResendCooldown
+};
@@ -0,0 +1,127 @@
+// Task workflows: which state a task is in and where it may move next
+//
+// A task stores its state key next to the built-in status that state maps to. Transitions are
+// checked against the workflow of the task's project, falling back to the default workflow.
+const Project = require('../models/Project');
+const { defaultWorkflow } = require('../config/workflows');
+
+// Workflow of a project, or the default one
+const getWorkflow = async (projectId) => {
+    if (!projectId) {
+        return defaultWorkflow;
+    }
+    const project = await Project.findById(projectId).select('workflow').populate('workflow');
+    return (project && project.workflow) || defaultWorkflow;
+};
+
+const findState = (workflow, key) => workflow.states.find(state => state.key === key);
+
+const getInitialState = (workflow) => findState(workflow, workflow.initialState);
+
+// State a task is in. A task whose state is missing or not part of the workflow, e.g. after
+// moving to another project, counts as being in the first state with the task's status.
+const getCurrentState = (workflow, task) => {
+    return findState(workflow, task.state)
+        || workflow.states.find(state => state.status === task.status)
+        || getInitialState(workflow);
+};
+
+// Hours count as unset at 0, which is what actualHours drops back to when its time entries are deleted
+const isSet = (value) => value !== undefined && value !== null && value !== '' && value !== 0
+    && !(Array.isArray(value) && value.length === 0);
+
+// Why a guard stops a transition, or null. values is the task as the request would leave it.
+const guardCheckers = {
+    requireReason: (guard, { reason }) => (reason ? null : 'A reason is required'),
+    requireField: (guard, { values }) => (isSet(values[guard.field]) ? null : `${guard.field} must be set`),
+    requireRole: (guard, { user }) => (guard.roles.includes(user.role)
+        ? null
+        : `Only ${guard.roles.join(' or ')} users can make this move`)
+};
+
+// Moves out of the task's current state, one per target state, with the guard problems in their way
+const getTransitions = (workflow, task, { user, reason, values = task } = {}) => {
+    const current = getCurrentState(workflow, task);
+    const moves = new Map();
+    workflow.transitions
+        .filter(transition => transition.to !== current.key)
+        .filter(transition => !transition.from.length || transition.from.includes(current.key))
+        .forEach(transition => {
+            if (moves.has(transition.to)) {
+                return;
+            }
+            // The default workflow's transitions leave out guards
+            const guards = transition.guards || [];
+            moves.set(transition.to, {
+                state: findState(workflow, transition.to),
+                guards,
+                problems: guards
+                    .map(guard => ({ type: guard.type, message: guardCheckers[guard.type](guard, { user, reason, values }) }))
+                    .filter(problem => problem.message)
+            });
+        });
+    return [...moves.values()];
+};
+
+const unknownState = (workflow, key) => ({
+    conflict: {
+        code: 400,
+        message: `Unknown state "${key}"; this task's workflow has ${workflow.states.map(state => state.key).join(', ')}`
+    }
+});
+
+// State a new task starts in: the requested one, or the workflow's initial state.
+// Returns { state }, or { conflict } when the workflow has no such state.
+const resolveInitialState = (workflow, requested) => {
+    if (!requested) {
+        return { state: getInitialState(workflow) };
+    }
+    const state = findState(workflow, requested);
+    return state ? { state } : unknownState(workflow, requested);
+};
+
+// Check moving a task to the target state. Returns { state } when the move is allowed or the
+// task is already there, or { conflict } with the status code and body explaining the refusal.
+const checkTransition = (workflow, task, target, context) => {
+    const state = findState(workflow, target);
+    if (!state) {
+        return unknownState(workflow, target);
+    }
+
+    const current = getCurrentState(workflow, task);
+    if (state.key === current.key) {
+        return { state };
+    }
+
+    const moves = getTransitions(workflow, task, context);
+    const move = moves.find(candidate => candidate.state.key === state.key);
+    if (!move) {
+        return {
+            conflict: {
+                code: 409,
+                message: `A task cannot move from ${current.name} to ${state.name}`,
+                allowed: moves.map(candidate => candidate.state.key)
+            }
+        };
+    }
+    if (move.problems.length) {
+        return {
+            conflict: {
+                code: 400,
+                message: `Moving to ${state.name} has unmet requirements`,
+                errors: move.problems.map(problem => problem.message)
+            }
+        };
+    }
+    return { state };
+};
+
+module.exports = {
+    getWorkflow,
+    findState,
+    getInitialState,
+    getCurrentState,
+    getTransitions,
+    resolveInitialState,
+    checkTransition
+};
@@ -0,0 +1,107 @@
+const { parseFields, parseExpand, getFieldset, applyFieldset, pickFieldset } = require('../../utils/fieldsets');
+
+// Query stand-in recording the select() and populate() calls made on it
+const fakeQuery = () => {
+    const query = {
+        selected: null,
+        populated: [],
+        select: (fields) => Object.assign(query, { selected: fields }),
+        populate: (path, select) => query.populated.push([path, select]) && query
+    };
+    return query;
+};
+
+describe('parseFields', () => {
+    test('returns the named fields once each', () => {
+        expect(parseFields('task', 'title, status,title')).toEqual(['title', 'status']);
+    });
+
+    test.each([
+        ['', 'Fields must name at least one field'],
+        ['title,password', 'Unknown field "password"'],
+        ['searchTokens', 'Field "searchTokens" cannot be requested'],
+        ['deletedAt', 'Field "deletedAt" cannot be requested']
+    ])('rejects task fields %j', (value, message) => {
+        expect(() => parseFields('task', value)).toThrow(message);
+    });
+
+    test('never returns user secrets', () => {
+        expect(() => parseFields('user', 'name,password')).toThrow('Field "password" cannot be requested');
+    });
+});
+
+describe('parseExpand', () => {
+    test('accepts relations and an empty list', () => {
+        expect(parseExpand('task', 'project,parent')).toEqual(['project', 'parent']);
+        expect(parseExpand('task', '')).toEqual([]);
+    });
+
+    test('rejects fields that are not relations', () => {
+        expect(() => parseExpand('task', 'title')).toThrow('Cannot expand "title"; relations are assignedTo, createdBy, project, parent');
+        expect(() => parseExpand('user', 'department')).toThrow('there are no relations to expand');
+    });
+});
+
+describe('getFieldset', () => {
+    test('returns whole records with the default relations when nothing is asked for', () => {
+        expect(getFieldset('task', {})).toEqual({ fields: null, expand: ['assignedTo', 'createdBy'] });
+        expect(getFieldset('project', {})).toEqual({ fields: null, expand: ['userId'] });
+    });
+
+    test('only expands default relations among the picked fields', () => {
+        expect(getFieldset('task', { fields: 'title,assignedTo' })).toEqual({
+            fields: ['title', 'assignedTo'],
+            expand: ['assignedTo']
+        });
+    });
+
+    test('adds explicitly expanded relations to the picked fields', () => {
+        expect(getFieldset('task', { fields: 'title', expand: 'project' })).toEqual({
+            fields: ['title', 'project'],
+            expand: ['project']
+        });
+    });
+
+    test('falls back to the default fields of the endpoint', () => {
+        expect(getFieldset('task', { expand: '' }, ['title', 'status'])).toEqual({
+            fields: ['title', 'status'],
+            expand: []
+        });
+    });
+});
+
+describe('applyFieldset', () => {
+    test('selects the stored fields behind computed ones and populates relations', () => {
+        const query = fakeQuery();
+        applyFieldset(query, 'task', { fields: ['title', 'isOverdue', 'assignedTo'], expand: ['assignedTo'] });
+        expect(query.selected).toBe('title dueDate status assignedTo');
+        expect(query.populated).toEqual([['assignedTo', 'name email']]);
+    });
+
+    test('keeps fields a record cannot be presented without', () => {
+        const query = fakeQuery();
+        applyFieldset(query, 'user', { fields: ['initials', 'taskCount'], expand: [] });
+        expect(query.selected).toBe('name');
+    });
+
+    test('leaves whole-record queries unselected', () => {
+        const query = fakeQuery();
+        applyFieldset(query, 'project', { fields: null, expand: ['tasks'] });
+        expect(query.selected).toBeNull();
+        expect(query.populated).toEqual([['tasks', 'title status priority']]);
+    });
+});
+
+describe('pickFieldset', () => {
+    test('trims presented records to the fields plus _id', () => {
+        const record = { toJSON: () => ({ _id: 'a', title: 'Write tests', status: 'pending', dueDate: null }) };
+        expect(pickFieldset([record], { fields: ['title', 'isOverdue'] })).toEqual([
+            { _id: 'a', title: 'Write tests', isOverdue: undefined }
+        ]);
+    });
+
+    test('returns records untouched without fields', () => {
+        const records = [{ _id: 'a', title: 'Write tests' }];
+        expect(pickFieldset(records, { fields: null })).toBe(records);
+    });
+});
@@ -0,0 +1,154 @@
+const { paginate, getPageLinks } = require('../../utils/pagination');
+
+// In-memory stand-in for a Mongoose model, understanding the queries paginate() builds
+const compare = (a, b) => {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return -1;
+    if (b === null || b === undefined) return 1;
+    return a < b ? -1 : (a > b ? 1 : 0);
+};
+
+const matches = (record, filter) => Object.entries(filter).every(([key, condition]) => {
+    if (key === '$and') return condition.every(part => matches(record, part));
+    if (key === '$or') return condition.some(part => matches(record, part));
+    const value = record[key] === undefined ? null : record[key];
+    if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+        return compare(value, condition) === 0;
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        if (operator === '$ne') return compare(value, operand) !== 0;
+        if (value === null) return false;
+        const order = compare(value, operand);
+        return { $gt: order > 0, $gte: order >= 0, $lt: order < 0, $lte: order <= 0 }[operator];
+    });
+});
+
+const pick = (record, fields) => Object.fromEntries(fields.filter(field => field in record).map(field => [field, record[field]]));
+
+const fakeModel = (records) => ({
+    find(filter) {
+        const state = { sort: {}, skip: 0, selected: [] };
+        const query = {
+            sort: (sort) => Object.assign(state, { sort }) && query,
+            skip: (skip) => Object.assign(state, { skip }) && query,
+            select: (fields) => Object.assign(state, { selected: [...state.selected, fields] }) && query,
+            selectedInclusively: () => state.selected.length > 0,
+            limit: async (limit) => records
+                .filter(record => matches(record, filter))
+                .sort((a, b) => Object.entries(state.sort).reduce((order, [field, direction]) => (
+                    // Text scores are left out; every record ranks the same
+                    order || (typeof direction === 'number' ? compare(a[field], b[field]) * direction : 0)
+                ), 0))
+                .slice(state.skip, state.skip + limit)
+                .map(record => (state.selected.length ? pick(record, ['_id', ...state.selected.join(' ').split(' ')]) : record))
+        };
+        return query;
+    },
+    countDocuments: async (filter) => records.filter(record => matches(record, filter)).length
+});
+
+const id = (number) => number.toString(16).padStart(24, '0');
+
+// Ten tasks, two sharing each due date, and two without one
+const tasks = Array.from({ length: 10 }, (unused, index) => ({
+    _id: id(index + 1),
+    dueDate: index < 2 ? null : new Date(Date.UTC(2026, 2, Math.floor(index / 2)))
+}));
+const model = fakeModel(tasks);
+const ids = (items) => items.map(item => item._id);
+
+describe('paginate', () => {
+    const sort = { field: 'dueDate', order: 'asc' };
+
+    test('pages by number and counts on request', async () => {
+        const result = await paginate(model, {}, { sort, limit: 4, page: 2, count: true });
+        expect(ids(result.items)).toEqual([id(5), id(6), id(7), id(8)]);
+        expect(result).toMatchObject({ total: 10, hasNextPage: true, hasPrevPage: true });
+    });
+
+    test('leaves total unset unless counting', async () => {
+        expect((await paginate(model, {}, { sort, limit: 4 })).total).toBeUndefined();
+    });
+
+    test('walks every record once forwards and back through ties and unset values', async () => {
+        for (const order of ['asc', 'desc']) {
+            const options = { sort: { field: 'dueDate', order }, limit: 3 };
+            const forwards = [];
+            let page = await paginate(model, {}, options);
+            forwards.push(...ids(page.items));
+            while (page.next) {
+                page = await paginate(model, {}, { ...options, after: page.next });
+                forwards.push(...ids(page.items));
+            }
+            expect(forwards).toHaveLength(10);
+            expect(new Set(forwards).size).toBe(10);
+
+            const backwards = ids(page.items);
+            while (page.prev) {
+                page = await paginate(model, {}, { ...options, before: page.prev });
+                backwards.unshift(...ids(page.items));
+            }
+            expect(backwards).toEqual(forwards);
+            expect(page.hasPrevPage).toBe(false);
+        }
+    });
+
+    test('does not skip records created before the cursor position', async () => {
+        const records = tasks.slice();
+        const growing = fakeModel(records);
+        const first = await paginate(growing, {}, { sort, limit: 5 });
+        records.push({ _id: id(99), dueDate: null });
+        const second = await paginate(growing, {}, { sort, limit: 5, after: first.next });
+        expect(ids(second.items)).toEqual(ids(tasks.slice(5)));
+    });
+
+    test('keeps the caller filter alongside the cursor condition', async () => {
+        const filter = { $and: [{ dueDate: { $ne: null } }] };
+        const first = await paginate(model, filter, { sort, limit: 4 });
+        const second = await paginate(model, filter, { sort, limit: 4, after: first.next });
+        expect(ids(first.items).concat(ids(second.items))).toEqual(ids(tasks.slice(2)));
+        expect(second.hasNextPage).toBe(false);
+    });
+
+    test('pages relevance-ranked results by position', async () => {
+        const relevance = { field: 'createdAt', order: 'desc', relevance: true };
+        const first = await paginate(model, {}, { sort: relevance, limit: 4 });
+        const second = await paginate(model, {}, { sort: relevance, limit: 4, after: first.next });
+        const back = await paginate(model, {}, { sort: relevance, limit: 4, before: second.prev });
+        expect(ids(back.items)).toEqual(ids(first.items));
+        expect(back.hasPrevPage).toBe(false);
+    });
+
+    test('fetches the sort field for cursors when the query picks fields', async () => {
+        const prepare = (query) => query.select('title');
+        const first = await paginate(model, {}, { sort, limit: 4, prepare });
+        const second = await paginate(model, {}, { sort, limit: 4, prepare, after: first.next });
+        expect(ids(second.items)).toEqual([id(5), id(6), id(7), id(8)]);
+    });
+
+    test.each([
+        ['garbage', 'not base64 JSON'],
+        [Buffer.from(JSON.stringify({ sort: 'dueDate:asc', value: null, id: 'x' })).toString('base64url'), 'a bad id']
+    ])('rejects cursor %j (%s)', async (cursor) => {
+        await expect(paginate(model, {}, { sort, limit: 3, after: cursor })).rejects.toMatchObject({
+            code: 'INVALID_CURSOR',
+            message: 'Invalid cursor'
+        });
+    });
+
+    test('rejects cursors issued for another sort', async () => {
+        const { next } = await paginate(model, {}, { sort, limit: 3 });
+        await expect(paginate(model, {}, { sort: { field: 'dueDate', order: 'desc' }, limit: 3, after: next }))
+            .rejects.toMatchObject({ code: 'INVALID_CURSOR', message: expect.stringContaining('different sort order') });
+    });
+});
+
+describe('getPageLinks', () => {
+    test('replaces the page and cursor parameters and keeps the rest', () => {
+        const req = { originalUrl: '/api/tasks?status=pending&page=2&before=abc&limit=5' };
+        expect(getPageLinks(req, { next: 'n1', prev: null })).toEqual({
+            next: '/api/tasks?status=pending&limit=5&after=n1',
+            prev: null
+        });
+    });
+});
@@ -0,0 +1,89 @@
+const { parseRule, formatRule, isValidRule, getNextOccurrence } = require('../../utils/recurrence');
+
+describe('parseRule', () => {
+    test('parses every supported part', () => {
+        expect(parseRule('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10')).toEqual({
+            freq: 'WEEKLY',
+            interval: 2,
+            byDay: [{ ordinal: null, weekday: 1 }, { ordinal: null, weekday: 4 }],
+            until: null,
+            count: 10
+        });
+    });
+
+    test('accepts an RRULE: prefix and lowercase input', () => {
+        expect(parseRule('rrule:freq=daily').freq).toBe('DAILY');
+    });
+
+    test.each([
+        ['', 'Recurrence rule must be a non-empty string'],
+        ['FREQ=YEARLY', 'FREQ must be DAILY, WEEKLY or MONTHLY'],
+        ['FREQ=DAILY;BYMONTH=1', 'Unsupported recurrence rule part BYMONTH'],
+        ['FREQ=DAILY;COUNT=2;COUNT=3', 'COUNT is given more than once'],
+        ['FREQ=DAILY;COUNT=3;UNTIL=20260101', 'UNTIL and COUNT cannot both be given'],
+        ['FREQ=DAILY;INTERVAL=0', 'INTERVAL must be a positive integer'],
+        ['FREQ=WEEKLY;BYDAY=1MO', 'BYDAY ordinals must be between -5 and 5 and are only allowed with FREQ=MONTHLY'],
+        ['FREQ=DAILY;UNTIL=tomorrow', 'UNTIL must be a date (YYYYMMDD) or date-time (YYYYMMDDTHHMMSSZ)']
+    ])('rejects %j', (input, message) => {
+        expect(() => parseRule(input)).toThrow(message);
+        expect(isValidRule(input)).toBe(false);
+    });
+});
+
+describe('formatRule', () => {
+    test.each([
+        'FREQ=DAILY',
+        'FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH',
+        'FREQ=MONTHLY;BYDAY=-1FR;COUNT=6',
+        'FREQ=DAILY;UNTIL=20261231',
+        'FREQ=DAILY;UNTIL=20261231T170000Z'
+    ])('round-trips %s', (rule) => {
+        expect(formatRule(parseRule(rule))).toBe(rule);
+    });
+
+    test('drops the default interval', () => {
+        expect(formatRule(parseRule('FREQ=DAILY;INTERVAL=1'))).toBe('FREQ=DAILY');
+    });
+});
+
+describe('getNextOccurrence', () => {
+    const next = (rule, previous, options) => {
+        const date = getNextOccurrence(rule, new Date(previous), options);
+        return date && date.toISOString();
+    };
+
+    test('steps daily rules by their interval', () => {
+        expect(next('FREQ=DAILY;INTERVAL=3', '2026-03-01T09:00:00Z')).toBe('2026-03-04T09:00:00.000Z');
+    });
+
+    test('moves to the next BYDAY within the week, then to the next week', () => {
+        // 2026-03-02 is a Monday
+        expect(next('FREQ=WEEKLY;BYDAY=MO,TH', '2026-03-02T09:00:00Z')).toBe('2026-03-05T09:00:00.000Z');
+        expect(next('FREQ=WEEKLY;BYDAY=MO,TH', '2026-03-05T09:00:00Z')).toBe('2026-03-09T09:00:00.000Z');
+        expect(next('FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH', '2026-03-05T09:00:00Z')).toBe('2026-03-16T09:00:00.000Z');
+    });
+
+    test('skips months without the day of month the series started on', () => {
+        expect(next('FREQ=MONTHLY', '2026-01-31T09:00:00Z')).toBe('2026-03-31T09:00:00.000Z');
+    });
+
+    test('finds ordinal weekdays of a month', () => {
+        // Last Friday of March 2026 is the 27th
+        expect(next('FREQ=MONTHLY;BYDAY=-1FR', '2026-02-27T09:00:00Z')).toBe('2026-03-27T09:00:00.000Z');
+    });
+
+    test('keeps the local time of day across a DST change', () => {
+        // New York moves to daylight saving time on 2026-03-08
+        expect(next('FREQ=DAILY', '2026-03-07T14:00:00Z', { timeZone: 'America/New_York' })).toBe('2026-03-08T13:00:00.000Z');
+    });
+
+    test('ends the series after COUNT occurrences', () => {
+        expect(next('FREQ=DAILY;COUNT=3', '2026-03-01T09:00:00Z', { index: 2 })).toBe('2026-03-02T09:00:00.000Z');
+        expect(next('FREQ=DAILY;COUNT=3', '2026-03-02T09:00:00Z', { index: 3 })).toBeNull();
+    });
+
+    test('includes the whole local day of a date-only UNTIL', () => {
+        expect(next('FREQ=DAILY;UNTIL=20260302', '2026-03-01T22:00:00Z')).toBe('2026-03-02T22:00:00.000Z');
+        expect(next('FREQ=DAILY;UNTIL=20260302', '2026-03-02T22:00:00Z')).toBeNull();
+    });
+});
@@ -0,0 +1,121 @@
+const { parseTaskFilter, buildTaskFilter, refersToCaller } = require('../../utils/taskFilter');
+
+const USER_ID = '64b000000000000000000001';
+const OTHER_ID = '64b000000000000000000002';
+const NOW = new Date('2026-03-10T15:00:00Z');
+
+const build = (input, context = {}) => buildTaskFilter(parseTaskFilter(input), {
+    userId: USER_ID,
+    now: NOW,
+    getOpenBlockerIds: async () => ['blocker'],
+    ...context
+});
+
+describe('parseTaskFilter', () => {
+    test('parses fields, aliases, operators, lists and negation', () => {
+        const terms = parseTaskFilter('status:pending,in-progress priority:>=high -dueDate:none');
+        expect(terms.map(({ field, operator, values, negated }) => ({ field, operator, values, negated }))).toEqual([
+            { field: 'status', operator: '=', values: ['pending', 'in-progress'], negated: false },
+            { field: 'priority', operator: '>=', values: ['high'], negated: false },
+            { field: 'due', operator: '=', values: [null], negated: true }
+        ]);
+    });
+
+    test('keeps quoted values with spaces together', () => {
+        expect(parseTaskFilter('tag:"needs review",urgent')[0].values).toEqual(['needs review', 'urgent']);
+    });
+
+    test('accepts an empty filter', () => {
+        expect(parseTaskFilter('   ')).toEqual([]);
+    });
+
+    test.each([
+        ['colour:red', 'Invalid term "colour:red" at character 1: Unknown field "colour"'],
+        ['status:done', 'Unknown status "done"'],
+        ['status:>pending', 'status cannot be compared with >'],
+        ['priority:>low,high', '> takes a single value'],
+        ['creator:none', 'creator cannot be none'],
+        ['assignee:bob', 'assignee must be me, none or a user ID'],
+        ['due:2026-02-30', 'Invalid date "2026-02-30"'],
+        ['tag:"open', 'Unterminated quote'],
+        ['pending', 'Expected field:value']
+    ])('rejects %j', (input, message) => {
+        expect(() => parseTaskFilter(input)).toThrow(message);
+    });
+
+    test('reports the position of the offending term', () => {
+        expect(() => parseTaskFilter('status:pending bogus')).toThrow('at character 16');
+    });
+});
+
+describe('buildTaskFilter', () => {
+    test('returns an empty query for no terms', async () => {
+        expect(await build('')).toEqual({});
+    });
+
+    test('resolves me to the caller on user fields', async () => {
+        expect(await build(`assignee:me,${OTHER_ID}`)).toEqual({
+            $and: [{ assignedTo: { $in: [USER_ID, OTHER_ID] } }]
+        });
+    });
+
+    test('keeps me as a plain value on other fields', async () => {
+        expect(await build('tag:me state:me')).toEqual({
+            $and: [{ tags: 'me' }, { state: 'me' }]
+        });
+    });
+
+    test('matches unset values alongside listed ones', async () => {
+        expect(await build('tag:none,backend')).toEqual({
+            $and: [{ $or: [{ tags: 'backend' }, { tags: { $size: 0 } }] }]
+        });
+    });
+
+    test('expands priority comparisons into the matching levels', async () => {
+        expect(await build('priority:>=high')).toEqual({
+            $and: [{ priority: { $in: ['high', 'urgent'] } }]
+        });
+    });
+
+    test('negates terms with $nor', async () => {
+        expect(await build('-category:personal')).toEqual({
+            $and: [{ $nor: [{ category: 'personal' }] }]
+        });
+    });
+
+    test('compares dates against local day bounds in the caller timezone', async () => {
+        expect(await build('due:today', { timezone: 'America/New_York' })).toEqual({
+            $and: [{ dueDate: { $gte: new Date('2026-03-10T04:00:00Z'), $lt: new Date('2026-03-11T04:00:00Z') } }]
+        });
+        expect(await build('due:<2026-03-12')).toEqual({
+            $and: [{ dueDate: { $lt: new Date('2026-03-12T00:00:00Z') } }]
+        });
+    });
+
+    test('builds flag conditions', async () => {
+        expect(await build('is:blocked,overdue')).toEqual({
+            $and: [{
+                $or: [
+                    { blockedBy: { $in: ['blocker'] } },
+                    { dueDate: { $lt: NOW }, status: { $ne: 'completed' } }
+                ]
+            }]
+        });
+    });
+});
+
+describe('refersToCaller', () => {
+    test('is true when a user field names me', () => {
+        expect(refersToCaller(parseTaskFilter('assignee:me'))).toBe(true);
+        expect(refersToCaller(parseTaskFilter(`creator:${OTHER_ID},me`))).toBe(true);
+    });
+
+    test('is false for me on fields that are not users', () => {
+        expect(refersToCaller(parseTaskFilter('tag:me state:me'))).toBe(false);
+    });
+
+    test('flags anonymous assignee:me filters, negated or not, so they can be rejected', () => {
+        expect(refersToCaller(parseTaskFilter('assignee:me'))).toBe(true);
+        expect(refersToCaller(parseTaskFilter('status:pending -assignee:me'))).toBe(true);
+    });
+});
@@ -0,0 +1,84 @@
+// Sparse fieldsets for read endpoints: fields=title,status picks the fields returned and
+// expand=assignedTo,project the relations populated, within what config/fieldsets allows.
+const fieldsets = require('../config/fieldsets');
+
+const splitList = (value) => [...new Set(String(value).split(',').map(name => name.trim()).filter(Boolean))];
+
+// Check a fields= list, returning its names. Throws an Error naming the first field not allowed.
+const parseFields = (resource, value) => {
+    const { fields, forbidden } = fieldsets[resource];
+    const names = splitList(value);
+    if (!names.length) {
+        throw new Error('Fields must name at least one field');
+    }
+    names.forEach(name => {
+        if (forbidden.includes(name)) {
+            throw new Error(`Field "${name}" cannot be requested`);
+        }
+        if (!fields.includes(name)) {
+            throw new Error(`Unknown field "${name}"; fields are ${fields.join(', ')}`);
+        }
+    });
+    return names;
+};
+
+// Check an expand= list, returning its relations; an empty list expands nothing
+const parseExpand = (resource, value) => {
+    const relations = Object.keys(fieldsets[resource].expand);
+    const names = splitList(value);
+    names.forEach(name => {
+        if (!relations.includes(name)) {
+            throw new Error(relations.length
+                ? `Cannot expand "${name}"; relations are ${relations.join(', ')}`
+                : `Cannot expand "${name}"; there are no relations to expand`);
+        }
+    });
+    return names;
+};
+
+// The fieldset a request asks for, as { fields, expand } with fields null for whole records.
+// defaultFields stands in when the request picks no fields. Without expand= the default
+// relations among the fields are expanded; expanded relations are always returned.
+const getFieldset = (resource, { fields, expand }, defaultFields = null) => {
+    const picked = fields === undefined ? defaultFields : parseFields(resource, fields);
+    const expanded = expand === undefined
+        ? fieldsets[resource].defaultExpand.filter(relation => !picked || picked.includes(relation))
+        : parseExpand(resource, expand);
+    return {
+        fields: picked && [...new Set([...picked, ...expanded])],
+        expand: expanded
+    };
+};
+
+// Fetch only the stored fields a fieldset needs, and populate its relations
+const applyFieldset = (query, resource, { fields, expand }) => {
+    const { computed, required, expand: relations } = fieldsets[resource];
+    if (fields) {
+        const stored = fields.flatMap(field => computed[field] || [field]);
+        query.select([...new Set([...required, ...stored])].join(' '));
+    }
+    expand.forEach(relation => query.populate(relation, relations[relation]));
+    return query;
+};
+
+// Trim records, or their presented form, to the fields of a fieldset plus _id
+const pickFieldset = (records, { fields }) => {
+    if (!fields) {
+        return records;
+    }
+    return records.map(record => {
+        const json = typeof record.toJSON === 'function' ? record.toJSON() : record;
+        return Object.fromEntries([
+            ['_id', json._id],
+            ...fields.map(field => [field, json[field]])
+        ]);
+    });
+};
+
+module.exports = {
+    parseFields,
+    parseExpand,
+    getFieldset,
+    applyFieldset,
+    pickFieldset
+};
@@ -0,0 +1,205 @@
+// Pagination for list endpoints, by page number or by keyset cursor.
+//
+// Records are sorted by one field with _id as the tie-break. A cursor is an opaque base64url token
+// holding the sort it was issued for and the sort value and _id of the record a page ended on:
+// after lists the records past it, before the records leading up to it. Unlike page numbers,
+// cursors neither repeat nor skip records when others are created or deleted in between.
+// Relevance scores cannot be compared in a query, so relevance cursors hold a position instead.
+
+// A sort is { field, order } plus relevance: true when ranked by text score first
+const getSortKey = (sort) => (sort.relevance ? 'relevance' : `${sort.field}:${sort.order}`);
+
+const invalidCursor = (message) => {
+    const error = new Error(message);
+    error.code = 'INVALID_CURSOR';
+    return error;
+};
+
+const encodeValue = (value) => {
+    if (value instanceof Date) {
+        return { date: value.toISOString() };
+    }
+    return value === undefined ? null : value;
+};
+
+// Sort value from a cursor, or undefined when it is not one encodeValue() produces
+const decodeValue = (value) => {
+    if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+        return value;
+    }
+    if (value && typeof value.date === 'string' && !isNaN(Date.parse(value.date))) {
+        return new Date(value.date);
+    }
+    return undefined;
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+// Read a cursor issued for the given sort. Throws an Error with code INVALID_CURSOR otherwise.
+const decodeCursor = (cursor, sort) => {
+    let payload = null;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        payload = null;
+    }
+    if (!payload || typeof payload !== 'object') {
+        throw invalidCursor('Invalid cursor');
+    }
+    if (payload.sort !== getSortKey(sort)) {
+        throw invalidCursor('Cursor was issued for a different sort order; start again without after or before');
+    }
+
+    if (sort.relevance) {
+        if (!Number.isInteger(payload.offset) || payload.offset < 0) {
+            throw invalidCursor('Invalid cursor');
+        }
+        return { offset: payload.offset };
+    }
+    const value = decodeValue(payload.value);
+    if (value === undefined || !/^[a-f\d]{24}$/i.test(payload.id)) {
+        throw invalidCursor('Invalid cursor');
+    }
+    return { value, id: payload.id };
+};
+
+const keysetCursor = (sort, record) => encodeCursor({
+    sort: getSortKey(sort),
+    value: encodeValue(record.get ? record.get(sort.field) : record[sort.field]),
+    id: String(record._id)
+});
+
+const offsetCursor = (offset) => encodeCursor({ sort: 'relevance', offset });
+
+// Records sorting strictly past a value in a direction. MongoDB sorts unset values below all
+// others, so they come first ascending and last descending.
+const pastValue = (field, value, direction) => {
+    if (direction === 1) {
+        return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+    }
+    return value === null ? null : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Records sorting past the cursor record: a later value, or the same value and a later _id
+const pastCursor = (field, { value, id }, direction) => {
+    const tie = { [field]: value, _id: direction === 1 ? { $gt: id } : { $lt: id } };
+    const past = pastValue(field, value, direction);
+    return past ? { $or: [past, tie] } : tie;
+};
+
+const buildSort = (sort, direction) => {
+    if (sort.relevance) {
+        return { score: { $meta: 'textScore' }, [sort.field]: direction, _id: direction };
+    }
+    return { [sort.field]: direction, _id: direction };
+};
+
+// Fetch limit records and whether more follow them. Cursors are made from the sort field, so it
+// is fetched even when the query picks fields.
+const fetchRecords = async (query, sort, limit) => {
+    if (query.selectedInclusively()) {
+        query.select(sort.field);
+    }
+    const records = await query.limit(limit + 1);
+    return { records: records.slice(0, limit), more: records.length > limit };
+};
+
+// One page of the records of a model matching a filter.
+//
+// Options: sort, limit, page (used without a cursor), after or before (cursors), count (whether
+// to count all matches) and prepare, a function adding populate() or select() to the query.
+// Resolves to { items, total, hasNextPage, hasPrevPage, next, prev }, where next and prev are the
+// cursors of the neighbouring pages, if any, and total is only set when counted.
+const paginate = async (model, filter, { sort, limit, page = 1, after, before, count = false, prepare = (query) => query }) => {
+    const direction = sort.order === 'asc' ? 1 : -1;
+    const cursor = after || before ? decodeCursor(after || before, sort) : null;
+    const backwards = Boolean(before);
+
+    let items;
+    let hasNextPage;
+    let hasPrevPage;
+    let next = null;
+    let prev = null;
+
+    if (cursor && !sort.relevance) {
+        // Walk backwards from a before cursor and put the page back in order afterwards
+        const walk = backwards ? -direction : direction;
+        const query = { ...filter, $and: [...(filter.$and || []), pastCursor(sort.field, cursor, walk)] };
+        const { records, more } = await fetchRecords(prepare(model.find(query).sort(buildSort(sort, walk))), sort, limit);
+        items = backwards ? records.reverse() : records;
+        hasNextPage = backwards || more;
+        hasPrevPage = !backwards || more;
+    } else {
+        let skip = (page - 1) * limit;
+        let size = limit;
+        if (cursor) {
+            skip = backwards ? Math.max(cursor.offset - limit, 0) : cursor.offset;
+            size = backwards ? cursor.offset - skip : limit;
+        }
+        const { records, more } = await fetchRecords(prepare(model.find(filter).sort(buildSort(sort, direction)).skip(skip)), sort, size);
+        items = records;
+        hasNextPage = backwards || more;
+        hasPrevPage = skip > 0;
+
+        if (sort.relevance) {
+            next = hasNextPage ? offsetCursor(skip + items.length) : null;
+            prev = hasPrevPage ? offsetCursor(skip) : null;
+        }
+    }
+
+    if (!sort.relevance && items.length) {
+        next = hasNextPage ? keysetCursor(sort, items[items.length - 1]) : null;
+        prev = hasPrevPage ? keysetCursor(sort, items[0]) : null;
+    }
+
+    return {
+        items,
+        total: count ? await model.countDocuments(filter) : undefined,
+        hasNextPage,
+        hasPrevPage,
+        next,
+        prev
+    };
+};
+
+// Links to the neighbouring pages: the request's own URL with its page or cursor replaced
+const getPageLinks = (req, { next, prev }) => {
+    const link = (name, cursor) => {
+        if (!cursor) {
+            return null;
+        }
+        const url = new URL(req.originalUrl, 'http://localhost');
+        ['page', 'after', 'before'].forEach(param => url.searchParams.delete(param));
+        url.searchParams.set(name, cursor);
+        return `${url.pathname}${url.search}`;
+    };
+    return {
+        next: link('after', next),
+        prev: link('before', prev)
+    };
+};
+
+// Whether a list request wants all matches counted: by default for page numbers, on request for cursors
+const shouldCount = ({ after, before, count }) => (count === undefined ? !(after || before) : count === 'true');
+
+// The pagination block of a list response, with totalKey naming the count of all matches
+const describePage = (req, results, totalKey) => {
+    const { page = 1, limit = 10, after, before } = req.query;
+    return {
+        ...(after || before ? {} : { currentPage: parseInt(page) }),
+        ...(results.total === undefined ? {} : {
+            totalPages: Math.ceil(results.total / parseInt(limit)),
+            [totalKey]: results.total
+        }),
+        hasNextPage: results.hasNextPage,
+        hasPrevPage: results.hasPrevPage,
+        ...getPageLinks(req, results)
+    };
+};
+
+module.exports = {
+    paginate,
+    getPageLinks,
+    shouldCount,
+    describePage
+};
@@ -0,0 +1,238 @@
+// RFC 5545 recurrence rules (RRULE) for recurring tasks.
+// Supports FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, BYDAY, UNTIL and COUNT.
+const { getZonedParts, zonedTimeToUtc } = require('./timezone');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+// Upper bound on candidate periods searched, so a rule that never matches cannot loop forever
+const MAX_PERIODS = 1000;
+
+const parseUntil = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(value);
+    if (!match) {
+        throw new Error('UNTIL must be a date (YYYYMMDD) or date-time (YYYYMMDDTHHMMSSZ)');
+    }
+    const [, year, month, day, hour, minute, second, utc] = match;
+    return {
+        year: parseInt(year),
+        month: parseInt(month),
+        day: parseInt(day),
+        hour: hour ? parseInt(hour) : 0,
+        minute: minute ? parseInt(minute) : 0,
+        second: second ? parseInt(second) : 0,
+        dateOnly: !hour,
+        utc: Boolean(utc)
+    };
+};
+
+const parseByDay = (value, freq) => value.split(',').map(entry => {
+    const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(entry);
+    if (!match) {
+        throw new Error(`Invalid BYDAY value "${entry}"`);
+    }
+    const ordinal = match[1] ? parseInt(match[1]) : null;
+    if (ordinal !== null && (freq !== 'MONTHLY' || ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw new Error('BYDAY ordinals must be between -5 and 5 and are only allowed with FREQ=MONTHLY');
+    }
+    return { ordinal, weekday: WEEKDAYS.indexOf(match[2]) };
+});
+
+const parsePositiveInteger = (name, value) => {
+    if (!/^\d+$/.test(value) || parseInt(value) < 1) {
+        throw new Error(`${name} must be a positive integer`);
+    }
+    return parseInt(value);
+};
+
+// Parse an RRULE string such as "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;COUNT=10".
+// Throws an Error describing the first problem found.
+const parseRule = (input) => {
+    if (typeof input !== 'string' || !input.trim()) {
+        throw new Error('Recurrence rule must be a non-empty string');
+    }
+
+    const parts = {};
+    for (const part of input.trim().replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+        const [key, value, ...rest] = part.split('=');
+        if (!value || rest.length) {
+            throw new Error(`Invalid recurrence rule part "${part}"`);
+        }
+        const name = key.toUpperCase();
+        if (parts[name] !== undefined) {
+            throw new Error(`${name} is given more than once`);
+        }
+        parts[name] = value.toUpperCase();
+    }
+
+    const unsupported = Object.keys(parts).filter(name => !['FREQ', 'INTERVAL', 'BYDAY', 'UNTIL', 'COUNT'].includes(name));
+    if (unsupported.length) {
+        throw new Error(`Unsupported recurrence rule part ${unsupported[0]}`);
+    }
+    if (!FREQUENCIES.includes(parts.FREQ)) {
+        throw new Error('FREQ must be DAILY, WEEKLY or MONTHLY');
+    }
+    if (parts.UNTIL && parts.COUNT) {
+        throw new Error('UNTIL and COUNT cannot both be given');
+    }
+
+    return {
+        freq: parts.FREQ,
+        interval: parts.INTERVAL ? parsePositiveInteger('INTERVAL', parts.INTERVAL) : 1,
+        byDay: parts.BYDAY ? parseByDay(parts.BYDAY, parts.FREQ) : [],
+        until: parts.UNTIL ? parseUntil(parts.UNTIL) : null,
+        count: parts.COUNT ? parsePositiveInteger('COUNT', parts.COUNT) : null
+    };
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Canonical RRULE string for a parsed rule
+const formatRule = (rule) => {
+    const parts = [`FREQ=${rule.freq}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay.length) {
+        parts.push(`BYDAY=${rule.byDay.map(({ ordinal, weekday }) => `${ordinal === null ? '' : ordinal}${WEEKDAYS[weekday]}`).join(',')}`);
+    }
+    if (rule.until) {
+        const { year, month, day, hour, minute, second, dateOnly, utc } = rule.until;
+        parts.push(`UNTIL=${pad(year, 4)}${pad(month)}${pad(day)}${dateOnly ? '' : `T${pad(hour)}${pad(minute)}${pad(second)}${utc ? 'Z' : ''}`}`);
+    }
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    return parts.join(';');
+};
+
+const isValidRule = (input) => {
+    try {
+        parseRule(input);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Local calendar days are handled as UTC midnights so day arithmetic ignores DST
+const toDay = (year, month, day) => Date.UTC(year, month - 1, day);
+const weekdayOf = (day) => new Date(day).getUTCDay();
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+// Days of a month matching BYDAY entries such as MO (every Monday), 1MO or -1FR
+const monthlyByDayCandidates = (year, month, byDay) => {
+    const days = new Set();
+    for (const { ordinal, weekday } of byDay) {
+        const matching = [];
+        for (let date = 1; date <= daysInMonth(year, month); date++) {
+            if (weekdayOf(toDay(year, month, date)) === weekday) {
+                matching.push(toDay(year, month, date));
+            }
+        }
+        if (ordinal === null) {
+            matching.forEach(day => days.add(day));
+        } else {
+            const day = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+            if (day !== undefined) days.add(day);
+        }
+    }
+    return [...days].sort((a, b) => a - b);
+};
+
+const addMonths = (year, month, months) => {
+    const index = year * 12 + (month - 1) + months;
+    return { year: Math.floor(index / 12), month: (index % 12) + 1 };
+};
+
+const nextDay = (rule, day, anchorDate) => {
+    const weekdays = rule.byDay.map(entry => entry.weekday);
+
+    if (rule.freq === 'DAILY') {
+        for (let i = 1; i <= MAX_PERIODS; i++) {
+            const candidate = day + i * rule.interval * DAY_MS;
+            if (!weekdays.length || weekdays.includes(weekdayOf(candidate))) return candidate;
+        }
+        return null;
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        if (!weekdays.length) return day + 7 * rule.interval * DAY_MS;
+        // Weeks start on Monday (the RFC 5545 default WKST)
+        const mondayOffset = (weekday) => (weekday + 6) % 7;
+        const weekStart = day - mondayOffset(weekdayOf(day)) * DAY_MS;
+        for (let offset = mondayOffset(weekdayOf(day)) + 1; offset < 7; offset++) {
+            const candidate = weekStart + offset * DAY_MS;
+            if (weekdays.includes(weekdayOf(candidate))) return candidate;
+        }
+        const firstOffset = Math.min(...weekdays.map(mondayOffset));
+        return weekStart + (7 * rule.interval + firstOffset) * DAY_MS;
+    }
+
+    // MONTHLY: on the series' day of month, or on the BYDAY days of the month
+    const current = new Date(day);
+    const start = { year: current.getUTCFullYear(), month: current.getUTCMonth() + 1 };
+    if (rule.byDay.length) {
+        const later = monthlyByDayCandidates(start.year, start.month, rule.byDay).filter(candidate => candidate > day);
+        if (later.length) return later[0];
+    }
+    for (let i = 1; i <= MAX_PERIODS; i++) {
+        const { year, month } = addMonths(start.year, start.month, i * rule.interval);
+        if (rule.byDay.length) {
+            const candidates = monthlyByDayCandidates(year, month, rule.byDay);
+            if (candidates.length) return candidates[0];
+        } else if (anchorDate <= daysInMonth(year, month)) {
+            // Months without that date (e.g. the 31st) are skipped, as RFC 5545 specifies
+            return toDay(year, month, anchorDate);
+        }
+    }
+    return null;
+};
+
+const untilInstant = (until, timeZone) => {
+    if (until.utc) {
+        return new Date(Date.UTC(until.year, until.month - 1, until.day, until.hour, until.minute, until.second));
+    }
+    if (until.dateOnly) {
+        // A date-only UNTIL includes the whole of that local day
+        const next = new Date(toDay(until.year, until.month, until.day) + DAY_MS);
+        return new Date(zonedTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timeZone).getTime() - 1);
+    }
+    return zonedTimeToUtc(until, timeZone);
+};
+
+// The occurrence after `previous`, keeping its local time of day in `timeZone`.
+// `startsAt` anchors the day of month for MONTHLY rules and `index` is the 1-based
+// number of `previous` within the series, used for COUNT. Returns null once the series ends.
+const getNextOccurrence = (rule, previous, { timeZone = 'UTC', startsAt, index = 1 } = {}) => {
+    const parsed = typeof rule === 'string' ? parseRule(rule) : rule;
+
+    if (parsed.count && index >= parsed.count) {
+        return null;
+    }
+
+    const local = getZonedParts(previous, timeZone);
+    const anchorDate = getZonedParts(startsAt || previous, timeZone).day;
+    const day = nextDay(parsed, toDay(local.year, local.month, local.day), anchorDate);
+    if (day === null) {
+        return null;
+    }
+
+    const date = new Date(day);
+    const next = zonedTimeToUtc({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: local.hour,
+        minute: local.minute,
+        second: local.second
+    }, timeZone);
+
+    if (parsed.until && next > untilInstant(parsed.until, timeZone)) {
+        return null;
+    }
+    return next;
+};
+
+module.exports = {
+    parseRule,
+    formatRule,
+    isValidRule,
+    getNextOccurrence
+};
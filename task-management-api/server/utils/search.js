@@ -0,0 +1,134 @@
+// Search query parsing and highlighting
+//
+// Queries are made of words, "quoted phrases", prefix* terms and -excluded words. Everything is
+// reduced to the same lowercase, accent-free words the search index stores, so characters such
+// as ( or \ never reach MongoDB.
+const searchConfig = require('../config/search');
+
+const WORD_CHAR = '[\\p{L}\\p{N}]';
+const NON_WORD = /[^\p{L}\p{N}]+/u;
+
+// Lowercase, accent-free words of one or more values; arrays (e.g. tags) are flattened
+const tokenize = (...values) => {
+    const words = values
+        .flat(Infinity)
+        .filter(value => typeof value === 'string' && value)
+        .flatMap(value => value.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase().split(NON_WORD))
+        .filter(Boolean);
+    return [...new Set(words)];
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Split a query into { words, phrases, prefixes, excluded }
+const parseSearchQuery = (input) => {
+    const parsed = { words: [], phrases: [], prefixes: [], excluded: [] };
+    const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(String(input || ''))) !== null) {
+        const [, negated, phrase, term] = match;
+        if (phrase !== undefined) {
+            const words = tokenize(phrase);
+            if (negated) {
+                parsed.excluded.push(...words);
+            } else if (words.length > 1) {
+                parsed.phrases.push(words);
+            } else {
+                parsed.words.push(...words);
+            }
+            continue;
+        }
+
+        const isExcluded = term.startsWith('-');
+        const isPrefix = term.endsWith('*');
+        const words = tokenize(term);
+        if (isExcluded) {
+            parsed.excluded.push(...words);
+        } else if (isPrefix && words.length && words[words.length - 1].length >= searchConfig.minPrefixLength) {
+            parsed.words.push(...words.slice(0, -1));
+            parsed.prefixes.push(words[words.length - 1]);
+        } else {
+            parsed.words.push(...words);
+        }
+    }
+
+    parsed.words = [...new Set(parsed.words)];
+    parsed.prefixes = [...new Set(parsed.prefixes)];
+    parsed.excluded = [...new Set(parsed.excluded)];
+    return parsed;
+};
+
+// $search string for a $text query, with prefixes replaced by the indexed words they expand to.
+// Returns null when nothing is left to look for.
+const buildTextSearch = ({ words, phrases, excluded }, expansions = []) => {
+    const terms = [...new Set([...words, ...expansions])];
+    if (!terms.length && !phrases.length) {
+        return null;
+    }
+    return [
+        ...terms,
+        ...phrases.map(phrase => `"${phrase.join(' ')}"`),
+        ...excluded.map(word => `-${word}`)
+    ].join(' ');
+};
+
+// Regex matching what a parsed query looks for: phrases, words and prefixes at the start of a word.
+// Words also match longer words, which covers most of what stemming lets the index match.
+const buildHighlightPattern = ({ words, phrases, prefixes }) => {
+    const alternatives = [
+        ...phrases.map(phrase => phrase.map(escapeRegex).join(NON_WORD.source)),
+        ...[...words, ...prefixes].map(word => `${escapeRegex(word)}${WORD_CHAR}*`)
+    ];
+    if (!alternatives.length) {
+        return null;
+    }
+    return new RegExp(`(?<!${WORD_CHAR})(?:${alternatives.join('|')})`, 'giu');
+};
+
+// Text around the first match, HTML-escaped, with every match wrapped in the highlight markers.
+// Returns null when the text does not match. Matching ignores accents, so it runs on a folded copy
+// of the text; the original is shown whenever folding kept the offsets intact.
+const buildSnippet = (text, pattern, length = searchConfig.snippetLength) => {
+    if (!pattern || typeof text !== 'string' || !text) {
+        return null;
+    }
+    const folded = text.normalize('NFKD').replace(/\p{M}/gu, '');
+    const source = folded.length === text.length ? text : folded;
+    const matches = [...folded.matchAll(pattern)];
+    if (!matches.length) {
+        return null;
+    }
+
+    const start = Math.max(0, Math.min(matches[0].index - Math.floor(length / 4), source.length - length));
+    const end = Math.min(source.length, start + length);
+    const { pre, post } = searchConfig.highlight;
+
+    let snippet = '';
+    let position = start;
+    matches
+        .filter(match => match.index >= start && match.index + match[0].length <= end)
+        .forEach(match => {
+            snippet += escapeHtml(source.slice(position, match.index));
+            snippet += pre + escapeHtml(source.slice(match.index, match.index + match[0].length)) + post;
+            position = match.index + match[0].length;
+        });
+    snippet += escapeHtml(source.slice(position, end));
+
+    return `${start > 0 ? '…' : ''}${snippet}${end < source.length ? '…' : ''}`;
+};
+
+module.exports = {
+    tokenize,
+    escapeRegex,
+    parseSearchQuery,
+    buildTextSearch,
+    buildHighlightPattern,
+    buildSnippet
+};
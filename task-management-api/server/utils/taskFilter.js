@@ -0,0 +1,319 @@
+// Task filter language, e.g.
+//   status:pending,in-progress priority:>=high tag:backend due:<2026-11-01 -category:personal assignee:me
+//
+// A filter is a list of field:value terms that all have to match. Commas list alternatives,
+// comparison operators (<, <=, >, >=) work on ordered fields, and a leading - negates a term.
+// Values containing spaces go in double quotes. parseTaskFilter() checks the syntax and values,
+// buildTaskFilter() turns the parsed terms into a MongoDB query for the caller.
+const { statuses } = require('../config/workflows');
+const { zonedTimeToUtc, getZonedParts } = require('./timezone');
+
+const PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+const CATEGORIES = ['work', 'personal', 'shopping', 'health', 'education', 'other'];
+const FLAGS = ['overdue', 'blocked', 'open', 'recurring', 'subtask'];
+const OPERATORS = ['>=', '<=', '>', '<', '='];
+const MAX_TERMS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filterable fields: the task path they apply to, the kind of value they take, and whether
+// "none" matches tasks where the field is unset
+const fields = {
+    status: { path: 'status', kind: 'enum', values: statuses },
+    state: { path: 'state', kind: 'string' },
+    priority: { path: 'priority', kind: 'ordered', values: PRIORITIES },
+    category: { path: 'category', kind: 'enum', values: CATEGORIES },
+    tag: { path: 'tags', kind: 'string', nullable: true },
+    assignee: { path: 'assignedTo', kind: 'user', nullable: true },
+    creator: { path: 'createdBy', kind: 'user' },
+    project: { path: 'project', kind: 'id', nullable: true },
+    parent: { path: 'parent', kind: 'id', nullable: true },
+    due: { path: 'dueDate', kind: 'date', nullable: true },
+    created: { path: 'createdAt', kind: 'date' },
+    updated: { path: 'updatedAt', kind: 'date' },
+    estimate: { path: 'estimatedHours', kind: 'number', nullable: true },
+    is: { kind: 'flag', values: FLAGS }
+};
+
+const aliases = {
+    tags: 'tag',
+    assignedTo: 'assignee',
+    createdBy: 'creator',
+    dueDate: 'due'
+};
+
+// Kinds whose values have an order, so they can be compared
+const orderedKinds = ['ordered', 'date', 'number'];
+
+const fail = (term, problem) => {
+    throw new Error(`Invalid term "${term.text}" at character ${term.position + 1}: ${problem}`);
+};
+
+// Split the input into whitespace-separated terms, keeping quoted values together
+const splitTerms = (input) => {
+    const terms = [];
+    let current = null;
+    let quoted = false;
+
+    for (let index = 0; index <= input.length; index++) {
+        const char = input[index];
+        if (char === undefined || (!quoted && /\s/.test(char))) {
+            if (current) {
+                terms.push(current);
+                current = null;
+            }
+            continue;
+        }
+        if (!current) {
+            current = { text: '', position: index };
+        }
+        if (char === '"') {
+            quoted = !quoted;
+        }
+        current.text += char;
+    }
+
+    if (quoted) {
+        fail(terms[terms.length - 1], 'Unterminated quote');
+    }
+    return terms;
+};
+
+// Split a value list on commas outside quotes, dropping the quotes
+const splitValues = (text) => {
+    const values = [''];
+    let quoted = false;
+    for (const char of text) {
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (char === ',' && !quoted) {
+            values.push('');
+        } else {
+            values[values.length - 1] += char;
+        }
+    }
+    return values.map(value => value.trim());
+};
+
+const isObjectId = (value) => /^[a-f\d]{24}$/i.test(value);
+
+const hasOwn = (map, key) => Object.prototype.hasOwnProperty.call(map, key);
+
+// Check one value of a term, returning it normalized
+const parseValue = (term, spec, raw) => {
+    const value = spec.kind === 'string' || spec.kind === 'id' || spec.kind === 'user' ? raw : raw.toLowerCase();
+    if (!value) {
+        fail(term, 'Empty value');
+    }
+    if (value.toLowerCase() === 'none') {
+        if (!spec.nullable) {
+            fail(term, `${term.field} cannot be none`);
+        }
+        return null;
+    }
+
+    switch (spec.kind) {
+        case 'enum':
+        case 'ordered':
+        case 'flag':
+            if (!spec.values.includes(value)) {
+                fail(term, `Unknown ${term.field} "${raw}"; expected ${spec.values.join(', ')}`);
+            }
+            return value;
+        case 'string':
+            if (value.length > 50) {
+                fail(term, `${term.field} values cannot exceed 50 characters`);
+            }
+            return value;
+        case 'user':
+            if (value.toLowerCase() === 'me') {
+                return 'me';
+            }
+            if (!isObjectId(value)) {
+                fail(term, `${term.field} must be me${spec.nullable ? ', none' : ''} or a user ID`);
+            }
+            return value;
+        case 'id':
+            if (!isObjectId(value)) {
+                fail(term, `${term.field} must be none or an ID`);
+            }
+            return value;
+        case 'date':
+            if (['today', 'tomorrow', 'yesterday'].includes(value) || /^[+-]\d{1,4}d$/.test(value)) {
+                return value;
+            }
+            if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+                const [year, month, day] = value.split('-').map(part => parseInt(part));
+                const date = new Date(Date.UTC(year, month - 1, day));
+                if (date.getUTCMonth() === month - 1 && date.getUTCDate() === day) {
+                    return value;
+                }
+            }
+            fail(term, `Invalid date "${raw}"; use YYYY-MM-DD, today, tomorrow, yesterday or a day offset such as +7d`);
+            break;
+        case 'number': {
+            const number = Number(value);
+            if (!/^\d+(\.\d+)?$/.test(value) || !Number.isFinite(number)) {
+                fail(term, `${term.field} must be a non-negative number`);
+            }
+            return number;
+        }
+        default:
+            fail(term, `Unsupported field ${term.field}`);
+    }
+    return null;
+};
+
+// Parse a filter string into terms of { field, operator, values, negated, text, position }.
+// Throws an Error naming the offending term and its position.
+const parseTaskFilter = (input) => {
+    if (typeof input !== 'string') {
+        throw new Error('Filter must be a string');
+    }
+
+    const terms = splitTerms(input);
+    if (terms.length > MAX_TERMS) {
+        fail(terms[MAX_TERMS], `Filters cannot have more than ${MAX_TERMS} terms`);
+    }
+
+    return terms.map(term => {
+        const match = /^(-?)([a-zA-Z]+):(.*)$/.exec(term.text);
+        if (!match) {
+            fail(term, 'Expected field:value');
+        }
+        const [, negated, name, rest] = match;
+        term.field = hasOwn(aliases, name) ? aliases[name] : name;
+        const spec = hasOwn(fields, term.field) ? fields[term.field] : null;
+        if (!spec) {
+            fail(term, `Unknown field "${name}"; fields are ${Object.keys(fields).join(', ')}`);
+        }
+
+        const operator = OPERATORS.find(candidate => rest.startsWith(candidate)) || '=';
+        const valueText = rest.startsWith(operator) ? rest.slice(operator.length) : rest;
+        if (operator !== '=' && !orderedKinds.includes(spec.kind)) {
+            fail(term, `${term.field} cannot be compared with ${operator}`);
+        }
+
+        const values = splitValues(valueText).map(raw => parseValue(term, spec, raw));
+        if (operator !== '=' && (values.length > 1 || values[0] === null)) {
+            fail(term, `${operator} takes a single value`);
+        }
+
+        return {
+            field: term.field,
+            operator,
+            values,
+            negated: negated === '-',
+            text: term.text,
+            position: term.position
+        };
+    });
+};
+
+// UTC bounds [start, end) of the local calendar day a date value names
+const getDateBounds = (value, { timezone, now }) => {
+    let parts;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const [year, month, day] = value.split('-').map(part => parseInt(part));
+        parts = { year, month, day };
+    } else {
+        const offset = { today: 0, tomorrow: 1, yesterday: -1 }[value];
+        const local = getZonedParts(now, timezone);
+        parts = { year: local.year, month: local.month, day: local.day + (offset === undefined ? parseInt(value) : offset) };
+    }
+    const day = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+    const next = new Date(day.getTime() + DAY_MS);
+    const toParts = (date) => ({ year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() });
+    return {
+        start: zonedTimeToUtc(toParts(day), timezone),
+        end: zonedTimeToUtc(toParts(next), timezone)
+    };
+};
+
+const comparisons = {
+    '<': ({ start }) => ({ $lt: start }),
+    '<=': ({ end }) => ({ $lt: end }),
+    '>': ({ end }) => ({ $gte: end }),
+    '>=': ({ start }) => ({ $gte: start }),
+    '=': ({ start, end }) => ({ $gte: start, $lt: end })
+};
+
+const numberOperators = { '<': '$lt', '<=': '$lte', '>': '$gt', '>=': '$gte' };
+
+// Condition for one of the flags of is:
+const buildFlag = async (flag, context) => {
+    switch (flag) {
+        case 'overdue':
+            return { dueDate: { $lt: context.now }, status: { $ne: 'completed' } };
+        case 'blocked':
+            return { blockedBy: { $in: await context.getOpenBlockerIds() } };
+        case 'open':
+            return { status: { $in: ['pending', 'in-progress'] } };
+        case 'recurring':
+            return { 'recurrence.series': { $exists: true } };
+        case 'subtask':
+            return { parent: { $ne: null } };
+        default:
+            return {};
+    }
+};
+
+// Condition matching unset values of a path
+const buildNone = (path) => (path === 'tags' ? { tags: { $size: 0 } } : { [path]: null });
+
+// Condition for a single term, before negation
+const buildTerm = async ({ field, operator, values }, context) => {
+    const spec = fields[field];
+    const { path } = spec;
+
+    if (spec.kind === 'flag') {
+        const conditions = await Promise.all(values.map(flag => buildFlag(flag, context)));
+        return conditions.length === 1 ? conditions[0] : { $or: conditions };
+    }
+    if (spec.kind === 'ordered' && operator !== '=') {
+        const index = spec.values.indexOf(values[0]);
+        const matches = spec.values.filter((value, candidate) => (
+            (operator.includes('<') && candidate < index)
+            || (operator.includes('>') && candidate > index)
+            || (operator.includes('=') && candidate === index)
+        ));
+        return { [path]: { $in: matches } };
+    }
+    if (spec.kind === 'number' && operator !== '=') {
+        return { [path]: { [numberOperators[operator]]: values[0] } };
+    }
+
+    const conditions = [];
+    const present = values.filter(value => value !== null);
+    if (spec.kind === 'date') {
+        present.forEach(value => conditions.push({ [path]: comparisons[operator](getDateBounds(value, context)) }));
+    } else if (present.length) {
+        // "me" only stands for the caller on user fields; elsewhere, such as tag:me, it is a plain value
+        const resolved = spec.kind === 'user' ? present.map(value => (value === 'me' ? context.userId : value)) : present;
+        conditions.push({ [path]: resolved.length === 1 ? resolved[0] : { $in: resolved } });
+    }
+    if (present.length < values.length) {
+        conditions.push(buildNone(path));
+    }
+    return conditions.length === 1 ? conditions[0] : { $or: conditions };
+};
+
+// MongoDB query for parsed terms. The context gives the caller's userId (for "me") and timezone
+// (for dates), the current time, and a getOpenBlockerIds() function used by is:blocked.
+const buildTaskFilter = async (terms, { userId, timezone = 'UTC', now = new Date(), getOpenBlockerIds }) => {
+    const context = { userId, timezone, now, getOpenBlockerIds };
+    const conditions = await Promise.all(terms.map(async term => {
+        const condition = await buildTerm(term, context);
+        return term.negated ? { $nor: [condition] } : condition;
+    }));
+    return conditions.length ? { $and: conditions } : {};
+};
+
+// Whether any term refers to the calling user, so the filter cannot be run anonymously
+const refersToCaller = (terms) => terms.some(term => fields[term.field].kind === 'user' && term.values.includes('me'));
+
+module.exports = {
+    filterFields: Object.keys(fields),
+    parseTaskFilter,
+    buildTaskFilter,
+    refersToCaller
+};
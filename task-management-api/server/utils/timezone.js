@@ -0,0 +1,89 @@
+// IANA timezone helpers built on Intl, so no timezone database needs to be bundled
+const isValidTimezone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Wall-clock parts of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        weekday: 'short'
+    }).formatToParts(date);
+
+    const values = Object.fromEntries(parts.map(part => [part.type, part.value]));
+    return {
+        year: parseInt(values.year),
+        month: parseInt(values.month),
+        day: parseInt(values.day),
+        hour: parseInt(values.hour),
+        minute: parseInt(values.minute),
+        second: parseInt(values.second),
+        weekday: values.weekday
+    };
+};
+
+// Minutes the timezone is ahead of UTC at the given instant
+const getOffsetMinutes = (date, timeZone) => {
+    const time = Math.floor(date.getTime() / 1000) * 1000;
+    const p = getZonedParts(new Date(time), timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return Math.round((asUtc - time) / 60000);
+};
+
+// Instant at which the given wall-clock time occurs in a timezone
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Two passes settle the offset when the first guess lands across a DST change
+    let time = wallClock - getOffsetMinutes(new Date(wallClock), timeZone) * 60000;
+    time = wallClock - getOffsetMinutes(new Date(time), timeZone) * 60000;
+    return new Date(time);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+// Calendar date (YYYY-MM-DD) of an instant in a timezone
+const toLocalDateString = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+};
+
+// ISO 8601 local time with offset, e.g. 2026-11-01T17:00:00-04:00
+const formatInTimezone = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const offset = getOffsetMinutes(date, timeZone);
+    const sign = offset < 0 ? '-' : '+';
+    const abs = Math.abs(offset);
+    return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}:${pad(p.second)}${sign}${pad(Math.floor(abs / 60))}:${pad(abs % 60)}`;
+};
+
+// UTC bounds [start, end) of the local calendar day containing an instant
+const getDayBounds = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const start = zonedTimeToUtc({ year: p.year, month: p.month, day: p.day }, timeZone);
+    const next = new Date(Date.UTC(p.year, p.month - 1, p.day + 1));
+    const end = zonedTimeToUtc({ year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() }, timeZone);
+    return { start, end };
+};
+
+module.exports = {
+    isValidTimezone,
+    getZonedParts,
+    getOffsetMinutes,
+    zonedTimeToUtc,
+    toLocalDateString,
+    formatInTimezone,
+    getDayBounds
+};
@@ -0,0 +1,107 @@
+// JWT helpers for access and refresh tokens, plus opaque random tokens
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+
+// Opaque tokens (password reset, etc.) are sent to the user raw and stored hashed
+const generateRandomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getSecret = (key) => {
+    const secret = authConfig[key];
+    if (!secret) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return secret;
+};
+
+// Access and refresh tokens are tied to the login session (sid) they were issued for
+const generateAccessToken = (user, session) => {
+    return jwt.sign(
+        { sub: user.id, sid: session.id, role: user.role, tokenVersion: user.tokenVersion, type: 'access' },
+        getSecret('jwtSecret'),
+        { expiresIn: authConfig.jwtExpiresIn }
+    );
+};
+
+const generateRefreshToken = (user, session) => {
+    return jwt.sign(
+        { sub: user.id, sid: session.id, tokenVersion: user.tokenVersion, type: 'refresh' },
+        getSecret('refreshSecret'),
+        { expiresIn: authConfig.refreshExpiresIn, jwtid: generateRandomToken(16) }
+    );
+};
+
+// Issue a fresh access/refresh pair for a user's session
+const generateAuthTokens = (user, session) => ({
+    accessToken: generateAccessToken(user, session),
+    refreshToken: generateRefreshToken(user, session),
+    tokenType: 'Bearer',
+    expiresIn: authConfig.jwtExpiresIn
+});
+
+// Expiry of a signed token as a Date
+const getTokenExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+const verifyToken = (token, key, type) => {
+    const payload = jwt.verify(token, getSecret(key));
+    if (payload.type !== type) {
+        throw new jwt.JsonWebTokenError(`Expected ${type} token`);
+    }
+    return payload;
+};
+
+const verifyAccessToken = (token) => verifyToken(token, 'jwtSecret', 'access');
+
+const verifyRefreshToken = (token) => verifyToken(token, 'refreshSecret', 'refresh');
+
+// Short-lived token proving the password step of a two-factor login succeeded
+const generateTwoFactorChallengeToken = (user) => {
+    return jwt.sign(
+        { sub: user.id, tokenVersion: user.tokenVersion, type: '2fa-challenge' },
+        getSecret('jwtSecret'),
+        { expiresIn: authConfig.twoFactorChallengeExpiresIn }
+    );
+};
+
+const verifyTwoFactorChallengeToken = (token) => verifyToken(token, 'jwtSecret', '2fa-challenge');
+
+// Email verification links carry a signed token bound to the address being verified
+const generateEmailVerificationToken = (user) => {
+    return jwt.sign(
+        { sub: user.id, email: user.email, type: 'email-verification' },
+        getSecret('jwtSecret'),
+        { expiresIn: authConfig.emailVerificationExpiresIn }
+    );
+};
+
+const verifyEmailVerificationToken = (token) => verifyToken(token, 'jwtSecret', 'email-verification');
+
+
+// API keys look like tm_<64 hex chars>; the short prefix is kept in clear so users can tell keys apart
+const API_KEY_PREFIX = 'tm_';
+
+const generateApiKey = () => {
+    const key = `${API_KEY_PREFIX}${generateRandomToken()}`;
+    return { key, prefix: key.slice(0, API_KEY_PREFIX.length + 8) };
+};
+
+const isApiKey = (token) => token.startsWith(API_KEY_PREFIX);
+
+module.exports = {
+    generateAccessToken,
+    generateRefreshToken,
+    generateAuthTokens,
+    getTokenExpiry,
+    verifyAccessToken,
+    verifyRefreshToken,
+    generateTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
+    generateEmailVerificationToken,
+    verifyEmailVerificationToken,
+    generateRandomToken,
+    hashToken,
+    generateApiKey,
+    isApiKey
+};
@@ -2,8 +2,14 @@ const http = require('http');
 
 const BASE_URL = 'http://localhost:3001';
 
+// Access token sent with every request once testAuthenticate() has signed in
+let authToken = null;
+
 // Helper function to make HTTP requests
 function makeRequest(options, data = null) {
+  if (authToken) {
+    options.headers = { ...options.headers, Authorization: `Bearer ${authToken}` };
+  }
   return new Promise((resolve, reject) => {
     const req = http.request(options, (res) => {
       let body = '';
@@ -47,6 +53,42 @@ async function testHealthCheck() {
   }
 }
 
+// Sign in to get a token for the write routes. Logs in with API_TEST_EMAIL and API_TEST_PASSWORD
+// when they are set (use an admin account to run the user tests), otherwise registers a new account.
+async function testAuthenticate() {
+  const email = process.env.API_TEST_EMAIL;
+  const password = process.env.API_TEST_PASSWORD;
+  const login = Boolean(email && password);
+  console.log(`\n🔍 Testing ${login ? 'Login' : 'Register'}...`);
+
+  try {
+    const response = await makeRequest({
+      hostname: 'localhost',
+      port: 3001,
+      path: login ? '/api/auth/login' : '/api/auth/register',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    }, login ? { email, password } : {
+      name: 'API Test User',
+      email: `apitest${Date.now()}@example.com`,
+      password: 'ApiTest123'
+    });
+
+    if (response.status === 200 || response.status === 201) {
+      authToken = response.data.data.accessToken;
+      console.log(`✅ ${login ? 'Login' : 'Register'}: ${response.status} - Signed in as ${response.data.data.user.email}`);
+      return true;
+    }
+    console.log(`❌ ${login ? 'Login' : 'Register'} failed: ${response.status} - ${response.data.message}`);
+    return false;
+  } catch (error) {
+    console.log(`❌ Authentication failed: ${error.message}`);
+    return false;
+  }
+}
+
 async function testGetAllTasks() {
   console.log('\n🔍 Testing Get All Tasks...');
   try {
@@ -167,6 +209,7 @@ async function testCreateUser() {
   const newUser = {
     name: 'Test User',
     email: `testuser${Date.now()}@example.com`,
+    password: 'TestUser123',
     role: 'user'
   };
 
@@ -347,6 +390,7 @@ async function runAllTests() {
   try {
     // Basic tests
     await testHealthCheck();
+    await testAuthenticate();
     await testGetAllTasks();
     await testGetAllUsers();
     await testGetStats();
@@ -363,3 +407,23 @@ async function runAllTests() {
     if (createdUserId) {
       await testUpdateUser(createdUserId);
     }
+
+    // Filtering and error handling
+    await testTaskFiltering();
+    await testErrorHandling();
+  } catch (error) {
+    console.log(`❌ Test run failed: ${error.message}`);
+  } finally {
+    // Clean up what the run created
+    if (createdTaskId) {
+      await testDeleteTask(createdTaskId);
+    }
+    if (createdUserId) {
+      await testDeleteUser(createdUserId);
+    }
+  }
+
+  console.log('\n🏁 API Tests finished');
+}
+
+runAllTests();